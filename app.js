@@ -16,36 +16,126 @@
     'use strict';
 
     // ── Constants ──────────────────────────────────────────
-    const CARD_W_MM  = 63;
+    const CARD_W_MM  = 63;     // standard card; Scryfall images have this shape
     const CARD_H_MM  = 88;
-    const PAGE_W_MM  = 210;
-    const PAGE_H_MM  = 297;
-    const COLS        = 3;
-    const ROWS        = 3;
-    const CARDS_PER_PAGE = COLS * ROWS;
-    const MARGIN_X = (PAGE_W_MM - COLS * CARD_W_MM) / 2;
-    const MARGIN_Y = (PAGE_H_MM - ROWS * CARD_H_MM) / 2;
     const PREVIEW_SCALE = 2.5;
     const IMG_CDN = 'https://cards.scryfall.io';
+    const JSPDF_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
+    const CARD_BACK_URL = 'https://backs.scryfall.io/large/0/a/0aeebaf5-8c7d-4636-9e82-8c27447861f7.jpg';
+    const CARD_BACK_KEYS = { default: 'cardback|default', custom: 'cardback|custom' };
+    const CARD_IMAGE_PX = { w: 745, h: 1040 };  // uploaded backs and art are normalised to PNG-quality size
+
+    // localStorage keys
+    const STORAGE_KEYS = {
+        cardBack:       'mtgProxyBuilder.cardBack',
+        projects:       'mtgProxyBuilder.projects',
+        currentProject: 'mtgProxyBuilder.currentProject',
+        cacheLimit:     'mtgProxyBuilder.cacheLimitMB',
+        printers:       'mtgProxyBuilder.printerProfiles',
+        printer:        'mtgProxyBuilder.printerProfile',
+        printingPrefs:  'mtgProxyBuilder.printingPrefs',
+    };
+
+    // IndexedDB image cache
+    const IMAGE_DB_NAME   = 'mtgProxyBuilder';
+    const IMAGE_STORE     = 'images';
+    const CUSTOM_STORE    = 'custom';   // uploaded art, never evicted
+    const DEFAULT_CACHE_MB = 500;
+
+    // Image downloads
+    const DOWNLOAD_CONCURRENCY = 6;
+    const DOWNLOAD_RETRIES     = 3;     // extra attempts after the first
+    const RETRY_BASE_MS        = 500;   // backoff doubles per attempt
+    const DOWNLOAD_STATUS_LABELS = { loading: 'Downloading…', done: 'Ready', failed: 'Failed' };
+    const PROJECT_VERSION = 1;
+    const SHARE_VERSION   = 1;
+    const SHARE_PREFIX    = '#deck=';
+
+    // Sidebar controls (dom keys) whose values make up the print settings,
+    // saved with projects
+    const SETTING_CONTROLS = [
+        'imageQuality',
+        'paperSize', 'customPageW', 'customPageH', 'cardSize', 'customCardW', 'customCardH', 'pageMargin', 'gutter', 'bleed', 'bleedMode',
+        'duplex', 'singleBacks', 'dfcBacks', 'cardBackSource', 'duplexOffsetX', 'duplexOffsetY',
+        'cutLineMode', 'cutColour', 'cutWidth', 'cutStyle',
+        'pdfFormat', 'pdfJpegQuality', 'pdfDpi',
+    ];
+
+    // Printer calibration controls, saved per printer profile rather than
+    // per project, with their neutral values
+    const CALIBRATION_DEFAULTS = { printScaleX: '100', printScaleY: '100', printOffsetX: '0', printOffsetY: '0' };
+    const DEFAULT_PRINTER = 'Default';
+
+    // Card trim sizes (mm); 'custom' takes its size from the sidebar
+    const CARD_SIZES = {
+        standard:  { w: CARD_W_MM, h: CARD_H_MM },
+        mini:      { w: 59,   h: 86 },     // Japanese / small-size sleeves
+        oversized: { w: 88.9, h: 127 },    // 3.5 × 5 in
+        tarot:     { w: 70,   h: 120 },
+    };
+    const CARD_SIZE_LABELS = {
+        standard: 'Standard', mini: 'Mini', oversized: 'Oversized', tarot: 'Tarot', custom: 'Custom',
+    };
+
+    // Paper sizes in portrait orientation (mm)
+    const PAPER_SIZES = {
+        a4:     { w: 210,   h: 297 },
+        letter: { w: 215.9, h: 279.4 },
+        legal:  { w: 215.9, h: 355.6 },
+        a3:     { w: 297,   h: 420 },
+    };
+
+    // Source image sizes (px) per quality, for the PDF size estimate
+    const SOURCE_PX = {
+        png:         { w: 745, h: 1040 },
+        large:       { w: 672, h: 936 },
+        normal:      { w: 488, h: 680 },
+        border_crop: { w: 480, h: 680 },
+    };
+
+    // Typical compressed bits per pixel of card art: lossless PNG, and JPEG
+    // as [quality, bpp] points interpolated in between
+    const PNG_BPP  = 14;
+    const JPEG_BPP = [[50, 0.9], [75, 1.4], [85, 1.8], [90, 2.2], [95, 3.0], [100, 6.0]];
+    const MM_PER_INCH = 25.4;
 
     // ── State ──────────────────────────────────────────────
-    let allImages   = [];      // flat base64 list (built from cardSlots during generate)
+    let imageStore  = new Map(); // Map<image key → base64>, one entry per unique printing face or card back
+    let printCards  = [];      // one { front, back, size } per physical copy: image keys and card size key or null (built during generate)
     let pageCount   = 0;
+    let downloadJobs  = new Map();  // Map<"id|face|quality" → download job>, see getDownloadJobs
+    let downloadAbort = null;       // AbortController for the running download
     let isLoading   = false;
     let currentView = 'empty'; // 'empty' | 'cards' | 'preview'
 
     // Card database
-    let cardDB       = null;   // Map<lowercase name → Card[]>
+    let cardDB       = null;   // Map<lowercase name → Card[]>, see buildCardIndex
     let oracleIndex  = null;   // Map<oracle_id → Card[]>
+    let nameKeys     = null;   // Map<normalised name or face name → cardDB key>
+    let nameLangs    = null;   // Map<normalised foreign name → language code>
+    let nameList     = [];     // [{ key, name }] sorted by key, for autocomplete + suggestions
+    let cardById     = null;   // Map<scryfall id → Card>, built on first use
+    let setInfo      = {};     // { set code → [name, release date] } from data/sets.json
     let cardDBReady  = false;
 
     // Card slots: the user's card list with variant selection
-    // Each: { name, qty, oracleId, selected: Card, variants: Card[], error?: string }
+    // Each: { name, qty, set, cn, lang, section, oracleId, selected: Card, variants: Card[],
+    //         error?: string, suggestions: string[] }
+    // (set / cn / lang are the printing requested in the input, if any)
     let cardSlots = [];
 
-    // Currently open popover slot index (-1 = none)
+    // Suggested tokens, emblems and meld partners, shaped like card slots
+    // plus { kind, sources } (see findRelatedCards)
+    let relatedCards = [];
+
+    // Row the variant popover is open on: a slot index, 'r' + index for a
+    // related-card suggestion, or -1 for none
     let openPopoverIdx = -1;
 
+    // Saved project being edited (null = unsaved workspace)
+    let currentProjectId = null;
+    let projectSaveTimer = null;
+
     // ── DOM refs ───────────────────────────────────────────
     let dom = {};
     const $ = (sel, root = document) => root.querySelector(sel);
@@ -59,7 +149,180 @@
             cutWidth:     parseFloat(dom.cutWidth.value),
             cutStyle:     dom.cutStyle.value,
             imageQuality: dom.imageQuality.value,
+            paperSize:    dom.paperSize.value,
+            customPageW:  parseFloat(dom.customPageW.value) || 0,
+            customPageH:  parseFloat(dom.customPageH.value) || 0,
+            cardSize:     dom.cardSize.value,
+            customCardW:  parseFloat(dom.customCardW.value) || CARD_W_MM,
+            customCardH:  parseFloat(dom.customCardH.value) || CARD_H_MM,
+            pageMargin:   Math.max(0, parseFloat(dom.pageMargin.value) || 0),
+            gutter:       Math.max(0, parseFloat(dom.gutter.value) || 0),
+            bleed:        Math.max(0, parseFloat(dom.bleed.value) || 0),
+            bleedMode:    dom.bleedMode.value,
+            duplex:       dom.duplex.value === 'on',
+            singleBacks:  dom.singleBacks.value,
+            dfcBacks:     dom.dfcBacks.value,
+            cardBackSource: dom.cardBackSource.value,
+            duplexOffsetX: parseFloat(dom.duplexOffsetX.value) || 0,
+            duplexOffsetY: parseFloat(dom.duplexOffsetY.value) || 0,
+            pdfFormat:    dom.pdfFormat.value,
+            pdfJpegQuality: parseInt(dom.pdfJpegQuality.value, 10) || 95,
+            pdfDpi:       parseInt(dom.pdfDpi.value, 10) || 0,
+            printScaleX:  (parseFloat(dom.printScaleX.value) || 100) / 100,
+            printScaleY:  (parseFloat(dom.printScaleY.value) || 100) / 100,
+            printOffsetX: parseFloat(dom.printOffsetX.value) || 0,
+            printOffsetY: parseFloat(dom.printOffsetY.value) || 0,
+        };
+    }
+
+    function readSettingControls() {
+        const values = {};
+        for (const id of SETTING_CONTROLS) values[id] = dom[id].value;
+        return values;
+    }
+
+    function applySettingControls(values) {
+        for (const id of SETTING_CONTROLS) {
+            if (values && values[id] !== undefined) dom[id].value = values[id];
+        }
+        dom.cutWidthValue.textContent = `${dom.cutWidth.value}mm`;
+        dom.pdfJpegQualityValue.textContent = dom.pdfJpegQuality.value;
+        onSettingsChange();
+    }
+
+    // ── Page Layout ────────────────────────────────────────
+    // Trim size for a size key (a slot's own choice), or the sidebar default
+    // when the key is null. Returns { key, w, h }.
+    function getCardSize(settings, key = null) {
+        key = key || settings.cardSize;
+        if (key === 'custom') return { key, w: settings.customCardW, h: settings.customCardH };
+        if (!CARD_SIZES[key]) key = 'standard';
+        return { key, ...CARD_SIZES[key] };
+    }
+
+    // Tries the paper in both orientations, keeps whichever fits the most
+    // cards inside the margins, and centres that grid on the page.
+    // Each grid cell is the card plus its bleed on every side; the gutter
+    // is the gap between neighbouring cells.
+    function getLayout(settings, size = getCardSize(settings)) {
+        const paper = (settings.paperSize === 'custom')
+            ? { w: settings.customPageW, h: settings.customPageH }
+            : (PAPER_SIZES[settings.paperSize] || PAPER_SIZES.a4);
+        const short = Math.min(paper.w, paper.h);
+        const long  = Math.max(paper.w, paper.h);
+
+        const { bleed, gutter, pageMargin } = settings;
+        const cellW = size.w + 2 * bleed;
+        const cellH = size.h + 2 * bleed;
+
+        // Small epsilon so e.g. 189 / 63 doesn't floor to 2 on rounding noise
+        const fitCount = (avail, cell) =>
+            Math.max(0, Math.floor((avail + gutter) / (cell + gutter) + 1e-6));
+        const span = (count, cell) => count ? count * cell + (count - 1) * gutter : 0;
+
+        const fit = (pageW, pageH, orientation) => {
+            const cols = fitCount(pageW - 2 * pageMargin, cellW);
+            const rows = fitCount(pageH - 2 * pageMargin, cellH);
+            return {
+                pageW, pageH, orientation, cols, rows, bleed, gutter,
+                cardSize: size.key,
+                cardW:   size.w,
+                cardH:   size.h,
+                backOffsetX: settings.duplexOffsetX,
+                backOffsetY: settings.duplexOffsetY,
+                scaleX:  settings.printScaleX,
+                scaleY:  settings.printScaleY,
+                offsetX: settings.printOffsetX,
+                offsetY: settings.printOffsetY,
+                perPage: cols * rows,
+                pitchX:  cellW + gutter,
+                pitchY:  cellH + gutter,
+                marginX: (pageW - span(cols, cellW)) / 2,
+                marginY: (pageH - span(rows, cellH)) / 2,
+            };
         };
+
+        const portrait  = fit(short, long, 'p');
+        const landscape = fit(long, short, 'l');
+        return (landscape.perPage > portrait.perPage) ? landscape : portrait;
+    }
+
+    // Trim box (mm) of the i-th card on a page, grown by `bleed` on every
+    // side when given (the box its image fills). On the back of a duplex
+    // sheet the columns are mirrored so each card lands behind its front,
+    // and the printer's duplex offset is applied. Printer calibration comes
+    // last, so everything placed through here is corrected.
+    function getCardRect(layout, i, side = 'front', bleed = 0) {
+        const isBack = (side === 'back');
+        const row = Math.floor(i / layout.cols);
+        const col = isBack ? layout.cols - 1 - (i % layout.cols) : i % layout.cols;
+        return calibrateRect(layout, {
+            x: layout.marginX + col * layout.pitchX + layout.bleed - bleed + (isBack ? layout.backOffsetX : 0),
+            y: layout.marginY + row * layout.pitchY + layout.bleed - bleed + (isBack ? layout.backOffsetY : 0),
+            w: layout.cardW + 2 * bleed,
+            h: layout.cardH + 2 * bleed,
+        });
+    }
+
+    // Undo the printer's own scaling (about the page centre) and offset
+    function calibratePoint(layout, x, y) {
+        const cx = layout.pageW / 2;
+        const cy = layout.pageH / 2;
+        return [
+            cx + (x - cx) * layout.scaleX + layout.offsetX,
+            cy + (y - cy) * layout.scaleY + layout.offsetY,
+        ];
+    }
+
+    function calibrateRect(layout, rect) {
+        const [x, y] = calibratePoint(layout, rect.x, rect.y);
+        return { x, y, w: rect.w * layout.scaleX, h: rect.h * layout.scaleY };
+    }
+
+    // Cut guide segments [x1, y1, x2, y2] in mm, shared by the canvas
+    // preview and the PDF so both always sit on the trim line.
+    function getCutSegments(layout, mode, count) {
+        const segs = [];
+
+        if (mode === 'grid') {
+            // One line per distinct trim edge, spanning every card that shares it
+            const hLines = new Map();
+            const vLines = new Map();
+            const extend = (lines, pos, from, to) => {
+                const key = pos.toFixed(3);
+                const line = lines.get(key);
+                if (!line) {
+                    lines.set(key, { pos, from, to });
+                } else {
+                    line.from = Math.min(line.from, from);
+                    line.to   = Math.max(line.to, to);
+                }
+            };
+
+            for (let i = 0; i < count; i++) {
+                const { x, y, w, h } = getCardRect(layout, i);
+                extend(hLines, y,     x, x + w);
+                extend(hLines, y + h, x, x + w);
+                extend(vLines, x,     y, y + h);
+                extend(vLines, x + w, y, y + h);
+            }
+            for (const { pos, from, to } of hLines.values()) segs.push([from, pos, to, pos]);
+            for (const { pos, from, to } of vLines.values()) segs.push([pos, from, pos, to]);
+        } else if (mode === 'corners') {
+            const len = 4;
+            for (let i = 0; i < count; i++) {
+                const { x, y, w, h } = getCardRect(layout, i);
+                const x2 = x + w;
+                const y2 = y + h;
+                segs.push(
+                    [x - len, y, x, y],   [x, y - len, x, y],
+                    [x2, y, x2 + len, y], [x2, y - len, x2, y],
+                    [x - len, y2, x, y2], [x, y2, x, y2 + len],
+                    [x2, y2, x2 + len, y2], [x2, y2, x2, y2 + len],
+                );
+            }
+        }
+        return segs;
     }
 
     // ── Image URL Builder ──────────────────────────────────
@@ -69,46 +332,50 @@
     }
 
     // ── Card Database Loader ───────────────────────────────
+    // meta.json names the format of cards.json (see scripts/sync-cards.js;
+    // no format means the original plain array), so a page older than its
+    // data falls back to the API instead of misreading it.
+    const CARD_FORMATS = [1, 2, 3];
+
     async function loadCardDB() {
         dom.dbStatus.textContent = 'Loading card database…';
         dom.btnLoadCards.disabled = true;
 
         try {
-            const res = await fetch('data/cards.json');
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            const cards = await res.json();
-
-            // Build name lookup: lowercase name → Card[]
-            cardDB = new Map();
-            // Build oracle index: oracle_id → Card[]
-            oracleIndex = new Map();
-
-            for (const card of cards) {
-                // Name index
-                const key = card.n.toLowerCase();
-                if (!cardDB.has(key)) cardDB.set(key, []);
-                cardDB.get(key).push(card);
-
-                // Oracle index
-                if (card.o) {
-                    if (!oracleIndex.has(card.o)) oracleIndex.set(card.o, []);
-                    oracleIndex.get(card.o).push(card);
-                }
+            let meta = null;
+            try {
+                const metaRes = await fetch('data/meta.json');
+                if (metaRes.ok) meta = await metaRes.json();
+            } catch (_) {}
+
+            const format = (meta && meta.format) || 1;
+            if (!CARD_FORMATS.includes(format)) {
+                dom.dbStatus.textContent = 'Card data is newer than this page — reload to update. Using API fallback.';
+                cardDBReady = false;
+                dom.btnLoadCards.disabled = false;
+                return;
             }
 
-            cardDBReady = true;
-            dom.dbStatus.textContent = `${cards.length.toLocaleString()} cards loaded`;
-            dom.btnLoadCards.disabled = false;
+            const index = await loadCardIndex(new URL('data/cards.json', location.href).href);
+            ({ cardDB, oracleIndex, nameKeys, nameLangs, nameList } = index);
+            cardById = null;
 
+            // Set names and dates only decorate the variant picker
             try {
-                const metaRes = await fetch('data/meta.json');
-                if (metaRes.ok) {
-                    const meta = await metaRes.json();
-                    const date = new Date(meta.updated).toLocaleDateString();
-                    dom.dbStatus.textContent = `${cards.length.toLocaleString()} cards · Updated ${date}`;
-                }
+                const setsRes = await fetch('data/sets.json');
+                if (setsRes.ok) setInfo = await setsRes.json();
             } catch (_) {}
 
+            cardDBReady = true;
+            dom.btnLoadCards.disabled = false;
+            if (meta) {
+                const date = new Date(meta.updated).toLocaleDateString();
+                dom.dbStatus.textContent = `${index.count.toLocaleString()} cards · Updated ${date}`;
+                renderDbChanges(meta);
+            } else {
+                dom.dbStatus.textContent = `${index.count.toLocaleString()} cards loaded`;
+            }
+
         } catch (err) {
             dom.dbStatus.textContent = 'Failed to load card data — using API fallback';
             cardDBReady = false;
@@ -117,20 +384,278 @@
         }
     }
 
+    // ── Card Index ─────────────────────────────────────────
+    // Turns cards.json into the lookup structures:
+    //   cardDB      Map<lowercase name → Card[]>
+    //   oracleIndex Map<oracle_id → Card[]>
+    //   nameKeys    Map<normalised full or face name → cardDB key>; full
+    //               names win over a face name that collides with them,
+    //               and English names over printed foreign ones; each
+    //               also has a space-less key (see normaliseKey)
+    //   nameLangs   Map<normalised foreign name → language> for the
+    //               foreign names in nameKeys
+    //   nameList    [{ key, name }] sorted by key, foreign names as printed
+    // Runs in a worker (the Maps come back by structured clone) or, if one
+    // can't start, here. Self-contained apart from normaliseKey.
+    function buildCardIndex(data) {
+        let cards;
+        let groups;   // [name, first, end) runs of cards sharing a name
+        if (Array.isArray(data)) {
+            cards = data;
+            groups = cards.map((card, i) => [card.n, i, i + 1]);
+        } else if (data.format === 2 || data.format === 3) {
+            // Columns back into cards with the same optional fields as format 1
+            const { rows } = data;
+            cards = [];
+            groups = [];
+            for (const [name, count] of data.names) {
+                groups.push([name, cards.length, cards.length + count]);
+                for (let i = cards.length, end = i + count; i < end; i++) {
+                    const card = { n: name, id: rows.id[i], s: data.sets[rows.s[i]], cn: rows.cn[i] };
+                    if (rows.o[i] !== -1) card.o = data.oracles[rows.o[i]];
+                    if (rows.d[i] === '1') card.d = 1;
+                    if (rows.t[i]) card.t = rows.t[i];
+                    if (rows.f[i]) card.f = rows.f[i];
+                    if (rows.b[i]) card.b = rows.b[i];
+                    if (rows.x[i]) card.x = rows.x[i];
+                    if (rows.e && rows.e[i]) card.e = rows.e[i];
+                    if (rows.a[i] !== -1) card.a = data.artists[rows.a[i]];
+                    if (rows.r[i]) card.r = rows.r[i];
+                    if (rows.l && rows.l[i]) card.l = rows.l[i];
+                    if (rows.fn && rows.fn[i]) card.fn = rows.fn[i];
+                    cards.push(card);
+                }
+            }
+        } else {
+            throw new Error(`unknown card data format ${data.format}`);
+        }
+
+        const cardDB = new Map();
+        for (const [name, first, end] of groups) {
+            const key = name.toLowerCase();
+            if (!cardDB.has(key)) cardDB.set(key, []);
+            const list = cardDB.get(key);
+            for (let i = first; i < end; i++) list.push(cards[i]);
+        }
+
+        const oracleIndex = new Map();
+        for (const card of cards) {
+            if (!card.o) continue;
+            if (!oracleIndex.has(card.o)) oracleIndex.set(card.o, []);
+            oracleIndex.get(card.o).push(card);
+        }
+
+        const nameKeys = new Map();
+        const nameLangs = new Map();
+        const display = new Map();   // foreign name keys → name as printed
+        const faces = [];
+        const foreign = [];
+        for (const [key, list] of cardDB) {
+            const name = list[0].n;
+            nameKeys.set(normaliseKey(name), key);
+            if (name.includes(' // ')) {
+                for (const face of name.split(' // ')) faces.push([normaliseKey(face), key]);
+            }
+            for (const card of list) {
+                if (!card.fn) continue;
+                foreign.push([card.fn, key, card.l]);
+                if (card.fn.includes(' // ')) {
+                    for (const face of card.fn.split(' // ')) foreign.push([face, key, card.l]);
+                }
+            }
+        }
+        for (const [faceKey, key] of faces) {
+            if (!nameKeys.has(faceKey)) nameKeys.set(faceKey, key);
+        }
+        for (const [name, key, lang] of foreign) {
+            const k = normaliseKey(name);
+            if (!k || nameKeys.has(k)) continue;
+            nameKeys.set(k, key);
+            nameLangs.set(k, lang);
+            display.set(k, name);
+        }
+
+        const nameList = [...nameKeys].map(([k, key]) => ({ key: k, name: display.get(k) || cardDB.get(key)[0].n }));
+        nameList.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+        for (const [k, key] of [...nameKeys]) {
+            const compact = k.replace(/ /g, '');
+            if (nameKeys.has(compact)) continue;
+            nameKeys.set(compact, key);
+            if (nameLangs.has(k)) nameLangs.set(compact, nameLangs.get(k));
+        }
+
+        return { count: cards.length, cardDB, oracleIndex, nameKeys, nameLangs, nameList };
+    }
+
+    function cardIndexWorkerMain() {
+        self.onmessage = async (e) => {
+            try {
+                const res = await fetch(e.data.url);
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                self.postMessage({ type: 'ok', index: buildCardIndex(await res.json()) });
+            } catch (err) {
+                self.postMessage({ type: 'error', message: err.message || String(err) });
+            }
+        };
+    }
+
+    // url must be absolute: a worker started from a Blob URL has no base
+    async function loadCardIndex(url) {
+        const worker = createWorker(normaliseKey, buildCardIndex, `(${cardIndexWorkerMain})();`);
+        if (worker) {
+            const index = await new Promise((resolve, reject) => {
+                worker.onmessage = (e) => {
+                    if (e.data.type === 'ok') resolve(e.data.index);
+                    else reject(new Error(e.data.message));
+                };
+                // A worker that can't start at all leaves it to this thread
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    console.warn('Card index worker failed, using the main thread:', e.message);
+                    resolve(null);
+                };
+                worker.postMessage({ url });
+            }).finally(() => worker.terminate());
+            if (index) return index;
+        }
+
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return buildCardIndex(await res.json());
+    }
+
+    // ── Name Matching ──────────────────────────────────────
+    // Lower-case, strip accents and apostrophes, turn other punctuation into
+    // spaces and collapse them — so "Lim-Dul's Vault" and "lim dûl's vault"
+    // meet as "lim duls vault". Letters of other scripts are kept for
+    // printed foreign names. Name lookups retry without spaces, which is
+    // how "limduls vault" finds it too (see nameKey).
+    function normaliseKey(name) {
+        return name
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’`]/g, '')
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Value for a typed name in a map keyed by normalised name, trying the
+    // space-less key buildCardIndex also adds
+    function nameKey(map, name) {
+        const k = normaliseKey(name);
+        return map.get(k) || map.get(k.replace(/ /g, '')) || null;
+    }
+
+    function resolveNameKey(name) {
+        const lower = name.toLowerCase();
+        if (cardDB.has(lower)) return lower;
+        return nameKeys ? nameKey(nameKeys, name) : null;
+    }
+
+    // Language of a name typed as printed on a foreign card, or null
+    function nameLanguage(name) {
+        if (!nameLangs || cardDB.has(name.toLowerCase())) return null;
+        return nameKey(nameLangs, name);
+    }
+
+    // Levenshtein distance, giving up as soon as it must exceed max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const cur = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+                if (cur[j] < rowMin) rowMin = cur[j];
+            }
+            if (rowMin > max) return max + 1;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    // "Did you mean" candidates for a name that didn't resolve
+    function suggestNames(name, limit = 3) {
+        const query = normaliseKey(name);
+        if (!query) return [];
+        const max = Math.max(2, Math.floor(query.length / 4));
+
+        const scored = [];
+        for (const { key, name: full } of nameList) {
+            const dist = editDistance(query, key, max);
+            if (dist <= max) scored.push({ name: full, dist });
+        }
+        scored.sort((a, b) => a.dist - b.dist);
+
+        const seen = new Set();
+        return scored
+            .filter(({ name: n }) => !seen.has(n) && seen.add(n))
+            .slice(0, limit)
+            .map(({ name: n }) => n);
+    }
+
+    // Prefix matches first, then names containing the query elsewhere
+    function completeName(query, limit = 8) {
+        const q = normaliseKey(query);
+        if (q.length < 2) return [];
+
+        let lo = 0;
+        let hi = nameList.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (nameList[mid].key < q) lo = mid + 1; else hi = mid;
+        }
+
+        const out = [];
+        for (let i = lo; i < nameList.length && nameList[i].key.startsWith(q); i++) {
+            if (!out.includes(nameList[i].name)) out.push(nameList[i].name);
+            if (out.length >= limit) return out;
+        }
+        for (const { key, name } of nameList) {
+            if (key.includes(` ${q}`) && !out.includes(name)) out.push(name);
+            if (out.length >= limit) break;
+        }
+        return out;
+    }
+
     // ── Card Lookup ────────────────────────────────────────
-    function lookupCard(name, set) {
+    // A collector number pins one exact printing: no match means null,
+    // never a different printing from the same set. A language given with
+    // it, or a name typed as printed in another language, asks for that
+    // language over the preferred one.
+    function lookupCard(name, set, cn, lang = null) {
         if (!cardDB) return null;
-        const key = name.toLowerCase();
-        const matches = cardDB.get(key);
+        const key = resolveNameKey(name);
+        const matches = key && cardDB.get(key);
         if (!matches || !matches.length) return null;
 
+        const rules = getPrintingRules();
+        rules.lang = lang || nameLanguage(name) || rules.lang;
+
         if (set) {
             const setLower = set.toLowerCase();
-            const setMatch = matches.find(c => c.s === setLower);
-            if (setMatch) return setMatch;
-            return null;
+            const inSet = matches.filter(c => c.s === setLower);
+            if (cn) {
+                const cnLower = cn.toLowerCase();
+                return pickPrinting(inSet.filter(c => c.cn.toLowerCase() === cnLower), rules);
+            }
+            return pickPrinting(inSet, rules);
+        }
+        return pickPrinting(matches, rules);
+    }
+
+    function findCardById(id) {
+        if (!cardDB) return null;
+        if (!cardById) {
+            cardById = new Map();
+            for (const cards of cardDB.values()) {
+                for (const card of cards) cardById.set(card.id, card);
+            }
         }
-        return matches[0];
+        return cardById.get(id) || null;
     }
 
     // Get all unique-art variants for a card via oracle_id
@@ -139,240 +664,1802 @@
         return oracleIndex.get(oracleId) || [];
     }
 
-    // ── Input Parser ───────────────────────────────────────
-    function parseInput(text) {
-        const lines = text.split('\n').filter(l => l.trim());
-        return lines.map(line => {
-            const m = line.trim().match(/^(\d+)?\s*(.*?)(?:\s*\[(\w+)\])?\s*$/);
-            if (!m || !m[2].trim()) return null;
-            return {
-                qty:  parseInt(m[1], 10) || 1,
-                name: m[2].trim(),
-                set:  m[3] ? m[3].toUpperCase() : null,
-            };
-        }).filter(Boolean);
+    // ── Languages ──────────────────────────────────────────
+    // Non-English printings (only there when synced with --langs) carry
+    // their language in `l` and share set and collector number with the
+    // English printing they translate. A printing that isn't available in
+    // a language stays English.
+    const LANGUAGE_LABELS = {
+        en: 'English', de: 'German', fr: 'French', it: 'Italian', es: 'Spanish', pt: 'Portuguese',
+        ja: 'Japanese', ko: 'Korean', ru: 'Russian', zhs: 'Simplified Chinese', zht: 'Traditional Chinese',
+        he: 'Hebrew', la: 'Latin', grc: 'Ancient Greek', ar: 'Arabic', sa: 'Sanskrit', ph: 'Phyrexian',
+    };
+
+    function cardLang(card) {
+        return card.l || 'en';
     }
 
-    // ── Scryfall API Fallback ──────────────────────────────
-    async function fetchCardFromAPI(name, set) {
-        let url = `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(name)}`;
-        if (set) url += `&set=${encodeURIComponent(set.toLowerCase())}`;
-        const res = await fetch(url);
-        if (!res.ok) {
-            const body = await res.json().catch(() => ({}));
-            throw new Error(body.details || `Card not found: "${name}"${set ? ` [${set}]` : ''}`);
-        }
-        return res.json();
+    function printingKey(card) {
+        return `${card.s}|${card.cn}`;
     }
 
-    // ── Image Helpers ──────────────────────────────────────
-    function getImageData(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'Anonymous';
-            img.onload = () => {
-                const c = document.createElement('canvas');
-                c.width  = img.width;
-                c.height = img.height;
-                c.getContext('2d').drawImage(img, 0, 0);
-                resolve(c.toDataURL('image/jpeg', 0.95));
-            };
-            img.onerror = () => reject(new Error(`Image load failed: ${url}`));
-            img.src = url;
-        });
+    // The same printing in lang, else in English, else the card itself
+    function localisePrinting(card, lang) {
+        if (cardLang(card) === lang) return card;
+        const same = getVariants(card.o).filter(c => c.s === card.s && c.cn === card.cn);
+        return same.find(c => cardLang(c) === lang) || same.find(c => !c.l) || card;
     }
 
-    function getImageUrlsForCard(card, quality) {
-        const urls = [];
-        if (card.d) {
-            urls.push(buildImageUrl(card.id, quality, 'front'));
-            urls.push(buildImageUrl(card.id, quality, 'back'));
-        } else {
-            urls.push(buildImageUrl(card.id, quality, 'front'));
+    // One card per printing, in lang where available and English otherwise;
+    // printings only made in lang are included, other languages' aren't
+    function printingsIn(cards, lang) {
+        const english = new Set(cards.filter(c => !c.l).map(printingKey));
+        const local = new Map();
+        for (const card of cards) {
+            if (cardLang(card) === lang && !local.has(printingKey(card))) local.set(printingKey(card), card);
         }
-        return urls;
+        return cards
+            .filter(c => !c.l || (cardLang(c) === lang && !english.has(printingKey(c)) && local.get(printingKey(c)) === c))
+            .map(c => local.get(printingKey(c)) || c);
     }
 
-    function loadImage(src) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload  = () => resolve(img);
-            img.onerror = reject;
-            img.src = src;
-        });
+    // Languages the cards come in, English first
+    function cardLanguages(cards) {
+        const langs = new Set(cards.map(cardLang));
+        return [...langs].sort((a, b) => (b === 'en') - (a === 'en') || a.localeCompare(b));
     }
 
-    // ================================================================
-    //  STAGE 1 — Load Cards (parse input → build cardSlots → render list)
-    // ================================================================
+    // "4 arts", or "3 languages" for one art in several, for the variant button
+    function variantLabel(cards) {
+        const arts = new Set(cards.map(printingKey)).size;
+        if (arts > 1) return `${arts} arts`;
+        const langs = cardLanguages(cards).length;
+        return (langs > 1) ? `${langs} languages` : '';
+    }
 
-    async function loadCards() {
-        const text = dom.cardList.value.trim();
-        if (!text) return;
+    // ── Printing Preference ────────────────────────────────
+    // Which printing a line without a collector number gets. Rules are
+    // { order: 'db' | 'newest' | 'oldest', regularFrame, avoidPromos, sets,
+    // lang } and rank printings by preferred set (in list order), then
+    // whether they're in the language, then promo, then frame, then date;
+    // ties keep database order.
+    const SECRET_LAIR_SETS = new Set(['sld', 'slu', 'slc', 'slp', 'psld']);
 
-        const entries = parseInput(text);
-        if (!entries.length) {
-            showError('No valid card entries found.');
-            return;
+    // The sidebar controls, saved in this browser rather than per project
+    const PREFERENCE_CONTROLS = ['prefOrder', 'prefFrame', 'prefPromos', 'prefLang', 'prefSets'];
+
+    function getPrintingRules() {
+        return {
+            order:        dom.prefOrder.value,
+            regularFrame: dom.prefFrame.value === 'regular',
+            avoidPromos:  dom.prefPromos.value === 'avoid',
+            sets: dom.prefSets.value.toLowerCase().split(/[\s,]+/).filter(Boolean),
+            lang:         dom.prefLang.value,
+        };
+    }
+
+    function loadPrintingPrefs() {
+        let values = {};
+        try {
+            values = JSON.parse(storageGet(STORAGE_KEYS.printingPrefs)) || {};
+        } catch (_) {}
+        for (const id of PREFERENCE_CONTROLS) {
+            if (values[id] !== undefined) dom[id].value = values[id];
         }
+    }
 
-        clearErrors();
-        cardSlots = [];
+    function savePrintingPrefs() {
+        const values = {};
+        for (const id of PREFERENCE_CONTROLS) values[id] = dom[id].value;
+        storageSet(STORAGE_KEYS.printingPrefs, JSON.stringify(values));
+    }
 
-        for (const entry of entries) {
-            let selected = null;
-            let variants = [];
-            let error = null;
+    function isPromo(card) {
+        return (card.x || '').includes('p') || SECRET_LAIR_SETS.has(card.s);
+    }
 
-            // Try local DB
-            selected = lookupCard(entry.name, entry.set);
+    // Black or white border, text box and no experimental frame, showcase,
+    // extended art, etched or inverted treatment
+    function isRegularFrame(card) {
+        return (!card.b || card.b === 'white') && !/[ft]/.test(card.x || '') && card.f !== 'future' && !card.e;
+    }
 
-            if (!selected && cardDBReady && entry.set) {
-                selected = lookupCard(entry.name, null);
-                if (selected) {
-                    addError(`"${entry.name}" not found in set [${entry.set}], using ${selected.s.toUpperCase()}`);
-                }
-            }
+    function releaseDate(card) {
+        return card.t || (setInfo[card.s] || [])[1] || '';
+    }
 
-            if (!selected && !cardDBReady) {
-                // API fallback — get card info, create a synthetic entry
-                try {
-                    await sleep(80);
-                    const apiCard = await fetchCardFromAPI(entry.name, entry.set);
-                    selected = {
-                        n:  apiCard.name,
-                        id: apiCard.id,
-                        s:  apiCard.set,
-                        cn: apiCard.collector_number,
-                        o:  apiCard.oracle_id,
-                        d:  apiCard.card_faces && apiCard.card_faces.some(f => f.image_uris) ? 1 : undefined,
-                    };
-                } catch (e) {
-                    error = e.message;
-                    addError(e.message);
-                }
-            }
+    function comparePrintings(a, b, rules) {
+        const setRank = card => {
+            const i = rules.sets.indexOf(card.s);
+            return (i === -1) ? rules.sets.length : i;
+        };
+        // Undated printings sort last either way
+        const date = card => releaseDate(card) || (rules.order === 'oldest' ? '9999' : '');
 
-            if (!selected && cardDBReady) {
-                error = `Card not found: "${entry.name}"`;
-                addError(error);
-            }
+        const otherLang = card => cardLang(card) !== (rules.lang || 'en');
 
-            if (selected) {
-                variants = getVariants(selected.o);
-                // If variants is empty (API fallback, no oracle index), at least include selected
-                if (!variants.length) variants = [selected];
-            }
-
-            cardSlots.push({
-                name:     entry.name,
-                qty:      entry.qty,
-                oracleId: selected ? selected.o : null,
-                selected: selected,
-                variants: variants,
-                error:    error,
-            });
+        return (setRank(a) - setRank(b))
+            || (otherLang(a) - otherLang(b))
+            || (rules.avoidPromos  ? isPromo(a) - isPromo(b) : 0)
+            || (rules.regularFrame ? isRegularFrame(b) - isRegularFrame(a) : 0)
+            || (rules.order === 'newest' ? date(b).localeCompare(date(a)) : 0)
+            || (rules.order === 'oldest' ? date(a).localeCompare(date(b)) : 0);
+    }
+
+    // Chosen among the printings as they'd be in rules.lang (see
+    // printingsIn), or among all when they're only in other languages
+    function pickPrinting(cards, rules = getPrintingRules()) {
+        const candidates = printingsIn(cards, rules.lang || 'en');
+        const pool = candidates.length ? candidates : cards;
+        if (!pool.length) return null;
+        return pool.reduce((best, card) => (comparePrintings(card, best, rules) < 0 ? card : best));
+    }
+
+    // Bulk re-picks offered in the card list toolbar. `rules` replaces the
+    // sidebar preferences; `only` restricts to matching printings and leaves
+    // slots alone that have none or already match. Every re-pick keeps each
+    // slot's language except `prefs`, which applies the sidebar's.
+    const byDate = order => ({ order, regularFrame: false, avoidPromos: false, sets: [] });
+    const BULK_RULES = {
+        prefs:      {},
+        newest:     { rules: byDate('newest') },
+        oldest:     { rules: byDate('oldest') },
+        regular:    { only: isRegularFrame },
+        borderless: { only: card => card.b === 'borderless' },
+        fullart:    { only: card => (card.x || '').includes('f') },
+        nopromo:    { only: card => !isPromo(card) },
+    };
+
+    function applyBulkRule() {
+        const rule = BULK_RULES[dom.bulkRule.value];
+        if (!rule) return;
+        const rules = rule.rules || getPrintingRules();
+        let changed = 0;
+
+        for (const slot of cardSlots) {
+            if (!slot.selected || isCustomCard(slot) || slot.variants.length < 2) continue;
+            if (rule.only && rule.only(slot.selected)) continue;
+
+            const keepLang = rule.rules || rule.only;
+            const slotRules = keepLang ? { ...rules, lang: cardLang(slot.selected) } : rules;
+            const card = pickPrinting(rule.only ? slot.variants.filter(rule.only) : slot.variants, slotRules);
+            if (card && card.id !== slot.selected.id) {
+                slot.selected = card;
+                slot.oracleId = card.o;
+                changed++;
+            }
         }
 
-        showView('cards');
+        closePopover();
         renderCardList();
+        scheduleProjectSave();
+        flashButton(dom.btnBulkApply, `${changed} changed`);
     }
 
-    // ================================================================
-    //  Card Management List — Rendering
-    // ================================================================
+    // ── Input Parser ───────────────────────────────────────
+    // Accepts plain lists ("4 Name", "4x Name [SET]"), MTG Arena / Moxfield
+    // exports ("4 Name (SET) 123"), MTGO .dek XML and CSV exports with a
+    // header row. Every format yields { qty, name, set, cn, section } where
+    // section is null for the main deck.
+    const SECTION_HEADERS = new Map([
+        ['deck', null], ['main', null], ['maindeck', null], ['main deck', null], ['mainboard', null],
+        ['sideboard', 'Sideboard'], ['commander', 'Commander'], ['companion', 'Companion'],
+        ['maybeboard', 'Maybeboard'], ['considering', 'Maybeboard'], ['tokens', 'Tokens'],
+    ]);
 
-    function renderCardList() {
-        const container = dom.cardListView;
-        container.innerHTML = '';
+    // Header names used by common CSV exports, in order of preference
+    const CSV_COLUMNS = {
+        qty:     ['count', 'quantity', 'qty', 'amount'],
+        name:    ['name', 'card name', 'card'],
+        set:     ['set code', 'edition code', 'set', 'edition'],
+        cn:      ['collector number', 'collector_number', 'card number', 'number', 'cn'],
+        section: ['board', 'section'],
+    };
 
-        // Stats summary
-        const totalCards = cardSlots.reduce((s, slot) => s + (slot.selected ? slot.qty : 0), 0);
-        const totalFaces = cardSlots.reduce((s, slot) => {
-            if (!slot.selected) return s;
-            const faces = slot.selected.d ? 2 : 1;
-            return s + slot.qty * faces;
-        }, 0);
-        const totalPages = Math.ceil(totalFaces / CARDS_PER_PAGE);
+    // qty, name, then either "(SET) 123" or "[SET]" / "[SET 123]", the
+    // latter optionally with a language: "[SET 123 ja]"
+    const LINE_RE = /^(?:(\d+)\s*[xX]?\s+)?(.+?)(?:\s+\(([A-Za-z0-9]{2,6})\)(?:\s+(\S+))?|\s*\[(\w+)(?:\s+([^\]\s]+)(?:\s+([A-Za-z]{2,3}))?)?\])?$/;
 
-        dom.cardListStats.innerHTML =
-            `<span><strong>${totalCards}</strong> cards</span>` +
-            `<span class="cl-stats-sep">·</span>` +
-            `<span><strong>${totalFaces}</strong> faces</span>` +
-            `<span class="cl-stats-sep">·</span>` +
-            `<span><strong>${totalPages}</strong> page${totalPages !== 1 ? 's' : ''}</span>`;
+    function parseInput(text) {
+        if (/^\s*(<\?xml|<Deck[\s>])/.test(text)) return parseDekXml(text);
 
-        // Render each card row
-        cardSlots.forEach((slot, idx) => {
-            const row = document.createElement('div');
-            row.className = 'cl-row' + (slot.error ? ' cl-row-error' : '');
-            row.dataset.idx = idx;
+        const csvRows = parseCsvRows(text);
+        if (csvRows.length && getCsvColumns(csvRows[0])) return parseCsv(csvRows);
 
-            if (slot.error && !slot.selected) {
-                // Error row — no card found
-                row.innerHTML =
-                    `<div class="cl-row-info">` +
-                        `<span class="cl-qty">${slot.qty}×</span>` +
-                        `<span class="cl-name">${esc(slot.name)}</span>` +
-                        `<span class="cl-error-badge">Not found</span>` +
-                    `</div>`;
-            } else if (slot.selected) {
-                const card = slot.selected;
-                const thumbUrl = buildImageUrl(card.id, 'normal', 'front');
-                const variantCount = slot.variants.length;
+        return parseTextList(text);
+    }
 
-                row.innerHTML =
-                    `<div class="cl-thumb-wrap" data-idx="${idx}">` +
-                        `<img class="cl-thumb" src="${thumbUrl}" alt="${esc(card.n)}" loading="lazy">` +
-                        (variantCount > 1
-                            ? `<button class="cl-variant-btn" data-idx="${idx}" title="Choose variant">${variantCount} arts</button>`
-                            : '') +
-                    `</div>` +
-                    `<div class="cl-row-info">` +
-                        `<span class="cl-qty">${slot.qty}×</span>` +
-                        `<span class="cl-name">${esc(card.n)}</span>` +
-                        `<span class="cl-set">${card.s.toUpperCase()} #${card.cn}</span>` +
-                        (card.d ? `<span class="cl-dfc-badge">DFC</span>` : '') +
-                    `</div>`;
+    function parseTextList(text) {
+        const entries = [];
+        let section = null;
+        let inAbout = false;    // Arena "About" block (deck name etc.), not cards
+
+        for (const raw of text.split('\n')) {
+            const line = raw.trim();
+            if (!line) {
+                inAbout = false;
+                continue;
             }
+            if (line.startsWith('//') || line.startsWith('#')) continue;
 
-            container.appendChild(row);
-        });
+            const header = line.replace(/:$/, '').toLowerCase();
+            if (header === 'about') {
+                inAbout = true;
+                continue;
+            }
+            if (SECTION_HEADERS.has(header)) {
+                section = SECTION_HEADERS.get(header);
+                inAbout = false;
+                continue;
+            }
+            if (inAbout) continue;
 
-        // Attach event listeners for variant buttons and thumbnails
-        container.querySelectorAll('.cl-variant-btn, .cl-thumb-wrap').forEach(el => {
-            el.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const idx = parseInt(el.dataset.idx, 10);
-                if (openPopoverIdx === idx) {
-                    closePopover();
-                } else {
-                    openVariantPopover(idx);
-                }
-            });
-        });
+            const entry = parseLine(line);
+            if (entry) entries.push({ ...entry, section });
+        }
+        return entries;
     }
 
-    function esc(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+    function parseLine(line) {
+        // Drop foil / etched markers from Arena-style exports
+        const m = line.replace(/\s+\*[A-Z]\*$/i, '').match(LINE_RE);
+        if (!m || !m[2].trim()) return null;
+        const set = m[3] || m[5];
+        return {
+            qty:  parseInt(m[1], 10) || 1,
+            name: normaliseName(m[2]),
+            set:  set ? set.toUpperCase() : null,
+            cn:   m[4] || m[6] || null,
+            lang: m[7] ? m[7].toLowerCase() : null,
+        };
+    }
+
+    // MTGO and some CSV exports write split cards as "Fire/Ice"
+    function normaliseName(name) {
+        return name.trim().replace(/\s*\/{1,2}\s*/g, ' // ');
+    }
+
+    function parseDekXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) return [];
+
+        return [...doc.getElementsByTagName('Cards')].map(el => ({
+            qty:     parseInt(el.getAttribute('Quantity'), 10) || 1,
+            name:    normaliseName(el.getAttribute('Name') || ''),
+            set:     null,
+            cn:      null,
+            section: el.getAttribute('Sideboard') === 'true' ? 'Sideboard' : null,
+        })).filter(e => e.name);
+    }
+
+    // Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+    function parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(f => f.trim()));
+    }
+
+    // Column indexes for a CSV header row, or null if it isn't one
+    function getCsvColumns(header) {
+        if (header.length < 2) return null;
+        const names = header.map(h => h.trim().toLowerCase());
+        const cols = {};
+        for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+            const alias = aliases.find(a => names.includes(a));
+            cols[field] = alias ? names.indexOf(alias) : -1;
+        }
+        const known = Object.values(cols).filter(i => i >= 0).length;
+        return (cols.name >= 0 && known >= 2) ? cols : null;
+    }
+
+    function parseCsv(rows) {
+        const cols = getCsvColumns(rows[0]);
+        const get = (row, field) => (cols[field] >= 0 ? (row[cols[field]] || '').trim() : '');
+
+        return rows.slice(1).map(row => {
+            const name = get(row, 'name');
+            if (!name) return null;
+            // Some sites put the full set name in "Edition" — only keep codes
+            const set = get(row, 'set');
+            const section = get(row, 'section').toLowerCase();
+            return {
+                qty:     parseInt(get(row, 'qty'), 10) || 1,
+                name:    normaliseName(name),
+                set:     /^[a-z0-9]{2,6}$/i.test(set) ? set.toUpperCase() : null,
+                cn:      get(row, 'cn') || null,
+                section: SECTION_HEADERS.get(section) || null,
+            };
+        }).filter(Boolean);
+    }
+
+    // Back to the plain-text list syntax, with section headers
+    function entriesToText(entries) {
+        const lines = [];
+        let section = null;
+        for (const entry of entries) {
+            if (entry.section !== section) {
+                lines.push('', entry.section || 'Deck');
+                section = entry.section;
+            }
+            lines.push(formatEntry(entry));
+        }
+        return lines.join('\n').trim();
+    }
+
+    function formatEntry(entry) {
+        let line = `${entry.qty} ${entry.name}`;
+        if (entry.set && entry.cn) line += ` [${entry.set} ${entry.cn}${entry.lang ? ` ${entry.lang}` : ''}]`;
+        else if (entry.set) line += ` [${entry.set}]`;
+        return line;
+    }
+
+    // The current list with every found card pinned to its chosen printing,
+    // so loading it again reproduces the same selection. Foreign printings
+    // share set and number with the English one, so they're written as
+    // printed and with their language.
+    function exportCardList() {
+        const entries = cardSlots.filter(slot => !isCustomCard(slot)).map(slot => ({
+            qty:     slot.qty,
+            name:    slot.selected ? slot.selected.fn || slot.selected.n : slot.name,
+            set:     slot.selected ? slot.selected.s.toUpperCase() : slot.set,
+            cn:      slot.selected ? slot.selected.cn : slot.cn,
+            lang:    slot.selected ? slot.selected.l : null,
+            section: slot.section,
+        }));
+        downloadFile('proxies.txt', entriesToText(entries) + '\n', 'text/plain');
+    }
+
+    // Append entries to the list, pinned as given, and reload it. They get
+    // a section header even in the main deck, since the text may currently
+    // end inside another section.
+    async function appendToCardList(entries) {
+        const text = (entries[0].section ? '' : 'Deck\n') + entriesToText(entries);
+        dom.cardList.value = `${dom.cardList.value.trimEnd()}\n\n${text}`.trim();
+        await loadCards();
+    }
+
+    // Dropping a deck file onto the textarea converts it to the list syntax
+    async function onCardListDrop(e) {
+        e.preventDefault();
+        dom.cardList.classList.remove('drag-over');
+
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+
+        try {
+            const entries = parseInput(await file.text());
+            if (!entries.length) {
+                showError(`No cards found in ${file.name}.`);
+                return;
+            }
+            dom.cardList.value = entriesToText(entries);
+            if (!dom.btnLoadCards.disabled) loadCards();
+        } catch (err) {
+            showError(`Could not read ${file.name}: ${err.message}`);
+        }
+    }
+
+    // ── Scryfall API Fallback ──────────────────────────────
+    async function fetchCardFromAPI(name, set, cn) {
+        let url = `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(name)}`;
+        if (set && cn) {
+            url = `https://api.scryfall.com/cards/${encodeURIComponent(set.toLowerCase())}/${encodeURIComponent(cn)}`;
+        } else if (set) {
+            url += `&set=${encodeURIComponent(set.toLowerCase())}`;
+        }
+        const res = await fetch(url);
+        if (!res.ok) {
+            const body = await res.json().catch(() => ({}));
+            const pin = set ? ` [${set}${cn ? ` ${cn}` : ''}]` : '';
+            throw new Error(body.details || `Card not found: "${name}"${pin}`);
+        }
+        return res.json();
+    }
+
+    // ── Image Helpers ──────────────────────────────────────
+    // Fetches an image and re-encodes it off the main thread (processImage).
+    // PNG sources stay lossless; everything else is stored as high-quality JPEG.
+    async function getImageData(url, signal) {
+        let res;
+        try {
+            res = await fetch(url, { signal });
+        } catch (err) {
+            if (err.name === 'AbortError') throw new DOMException('Download cancelled', 'AbortError');
+            throw new Error(`Image load failed: ${url}`);
+        }
+        if (!res.ok) throw new Error(`Image load failed: ${url}`);
+
+        const type = /\.png(\?|$)/i.test(url) ? 'image/png' : 'image/jpeg';
+        return processImage(await res.blob(), { type, quality: 0.95 });
+    }
+
+    // 'PNG' or 'JPEG', as jsPDF names them
+    function getImageFormat(data) {
+        return data.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+    }
+
+    function getFacesForCard(card) {
+        return card.d ? ['front', 'back'] : ['front'];
+    }
+
+    // One face at one quality, from the persistent cache when possible
+    async function getCardImage(card, face, quality, signal) {
+        const key = `${card.id}|${face}|${quality}`;
+        const cached = await cacheGet(key);
+        if (cached) return cached;
+
+        const data = await getImageData(buildImageUrl(card.id, quality, face), signal);
+        cachePut(key, data);
+        return data;
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload  = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+
+    // ── Print Images ───────────────────────────────────────
+    // A stored image as it goes on the sheet at a given card size: cropped to
+    // that size's shape unless it's the standard one, and grown by the bleed
+    // on every side, filled as set by bleedMode (see renderCardImage).
+    function fitImageToCard(src, settings, size) {
+        return processImage(src, {
+            aspect: isStandardShape(size) ? 0 : size.w / size.h,
+            bleedX: settings.bleed / size.w,
+            bleedY: settings.bleed / size.h,
+            mode:   settings.bleedMode,
+            type:   getImageFormat(src) === 'PNG' ? 'image/png' : 'image/jpeg',
+            quality: 0.95,
+        });
+    }
+
+    function isStandardShape(size) {
+        return Math.abs(size.w / size.h - CARD_W_MM / CARD_H_MM) < 0.005;
+    }
+
+    // Derived images are cached per image key, then per card size, and
+    // dropped when the settings they were made with change.
+    function sizeEntries(cache, imageKey) {
+        if (!cache.images.has(imageKey)) cache.images.set(imageKey, new Map());
+        return cache.images.get(imageKey);
+    }
+
+    function sizeId(size) {
+        return `${size.w}x${size.h}`;
+    }
+
+    let bleedCache = { key: '', images: new Map() };
+
+    async function getPrintImage(imageKey, settings, size = getCardSize(settings)) {
+        const src = imageStore.get(imageKey);
+        if (!src || (!settings.bleed && isStandardShape(size))) return src;
+
+        const key = `${settings.bleed}|${settings.bleedMode}`;
+        if (bleedCache.key !== key) bleedCache = { key, images: new Map() };
+
+        const entries = sizeEntries(bleedCache, imageKey);
+        const cached = entries.get(sizeId(size));
+        if (cached && cached.src === src) return cached.data;
+
+        const data = await fitImageToCard(src, settings, size);
+        entries.set(sizeId(size), { src, data });
+        return data;
+    }
+
+    // ── PDF Export Images ──────────────────────────────────
+    // What actually goes into the PDF: the print image, downsampled to the
+    // target DPI and encoded as chosen under PDF Export. Lossless leaves the
+    // source encoding alone unless it has to be resampled (then it's PNG).
+    let exportCache = { key: '', images: new Map() };
+
+    async function getExportImage(imageKey, settings, size = getCardSize(settings)) {
+        const src = await getPrintImage(imageKey, settings, size);
+        if (!src) return src;
+
+        const key = [settings.bleed, settings.bleedMode, settings.pdfFormat,
+            settings.pdfJpegQuality, settings.pdfDpi].join('|');
+        if (exportCache.key !== key) exportCache = { key, images: new Map() };
+
+        const entries = sizeEntries(exportCache, imageKey);
+        const cached = entries.get(sizeId(size));
+        if (cached && cached.src === src) return cached.data;
+
+        const lossless = settings.pdfFormat === 'lossless';
+        // Stored JPEGs are already quality 95, so re-encoding them at the
+        // same size and a higher quality would only grow the file
+        const keepJpeg = getImageFormat(src) === 'JPEG' && settings.pdfJpegQuality >= 95;
+        const data = await processImage(src, {
+            maxWidth: settings.pdfDpi
+                ? Math.round((size.w + 2 * settings.bleed) / MM_PER_INCH * settings.pdfDpi)
+                : 0,
+            type:    lossless ? 'image/png' : 'image/jpeg',
+            quality: settings.pdfJpegQuality / 100,
+            onlyIfScaled: lossless || keepJpeg,
+        }) || src;
+
+        entries.set(sizeId(size), { src, data });
+        return data;
+    }
+
+    // ── PDF Size Estimate ──────────────────────────────────
+    // Each unique image is embedded once, so the size follows from the
+    // number of distinct faces and the pixels and encoding of each.
+    function estimatePdfSize(settings) {
+        const keys = new Set();
+        for (const slot of cardSlots) {
+            if (!slot.selected) continue;
+            for (const image of getSlotImages(slot, settings.imageQuality)) keys.add(image.key);
+        }
+        if (!keys.size) return null;
+        const images = keys.size + (needsCardBack(settings) ? 1 : 0);
+
+        // Sized for the default card size; images keep the source
+        // resolution across the card's width
+        const size = getCardSize(settings);
+        const src = SOURCE_PX[settings.imageQuality] || SOURCE_PX.png;
+        const w = src.w * (size.w + 2 * settings.bleed) / size.w;
+        const h = w * (size.h + 2 * settings.bleed) / (size.w + 2 * settings.bleed);
+        const targetW = settings.pdfDpi
+            ? (size.w + 2 * settings.bleed) / MM_PER_INCH * settings.pdfDpi
+            : w;
+        const scale = Math.min(1, targetW / w);
+        const resampled = scale < 1;
+        const pngSource = settings.imageQuality === 'png';
+
+        let bpp;
+        if (settings.pdfFormat === 'lossless') {
+            bpp = (pngSource || resampled) ? PNG_BPP : jpegBitsPerPixel(95);
+        } else {
+            const keepJpeg = !pngSource && !resampled && settings.pdfJpegQuality >= 95;
+            bpp = jpegBitsPerPixel(keepJpeg ? 95 : settings.pdfJpegQuality);
+        }
+
+        return {
+            bytes: images * (w * scale) * (h * scale) * bpp / 8,
+            images,
+            width:  Math.round(w * scale),
+            height: Math.round(h * scale),
+        };
+    }
+
+    function jpegBitsPerPixel(quality) {
+        for (let i = 1; i < JPEG_BPP.length; i++) {
+            const [q1, b1] = JPEG_BPP[i];
+            if (quality > q1) continue;
+            const [q0, b0] = JPEG_BPP[i - 1];
+            return b0 + (b1 - b0) * Math.max(0, quality - q0) / (q1 - q0);
+        }
+        return JPEG_BPP[JPEG_BPP.length - 1][1];
+    }
+
+    function updatePdfSizeInfo() {
+        const settings = getSettings();
+        dom.pdfJpegQualityRow.style.display = (settings.pdfFormat === 'jpeg') ? '' : 'none';
+
+        const estimate = estimatePdfSize(settings);
+        if (!estimate) {
+            dom.pdfSizeInfo.textContent = 'Load cards to estimate the PDF size.';
+            return;
+        }
+        const mb = estimate.bytes / 1024 / 1024;
+        dom.pdfSizeInfo.textContent =
+            `Estimated PDF size: ~${mb < 10 ? mb.toFixed(1) : Math.round(mb)} MB · ` +
+            `${estimate.images} unique image${estimate.images !== 1 ? 's' : ''} at ${estimate.width}×${estimate.height}px`;
+    }
+
+    // ── Page Plan ──────────────────────────────────────────
+    // Turns printCards into an ordered list of sheet sides, each holding the
+    // image keys of its cells and the layout they're placed with. Cards of
+    // each size get their own run of pages, sizes in order of first use.
+    function buildPages(settings, cardBack) {
+        return groupBySize(settings, printCards).flatMap(({ size, items }) => {
+            const layout = getLayout(settings, size);
+            return planSheets(settings, layout, items, cardBack)
+                .map(page => ({ ...page, size, layout }));
+        });
+    }
+
+    // Slots or print cards grouped by the card size they print at (their own
+    // `size`, or the default), in order of first appearance
+    function groupBySize(settings, items) {
+        const groups = new Map();
+        for (const item of items) {
+            const size = getCardSize(settings, item.size);
+            if (!groups.has(size.key)) groups.set(size.key, { size, items: [] });
+            groups.get(size.key).items.push(item);
+        }
+        return [...groups.values()];
+    }
+
+    // Error message if cards of any size in use don't fit on the page
+    function checkCardsFit(settings, items) {
+        const tooBig = groupBySize(settings, items)
+            .find(({ size }) => !getLayout(settings, size).perPage);
+        if (!tooBig) return null;
+        return `${CARD_SIZE_LABELS[tooBig.size.key]} cards do not fit on the selected page size.`;
+    }
+
+    // Sheet sides for cards of one size. Without duplex,
+    // DFC back faces follow their front as separate cards. With duplex, each
+    // front page is followed by its reverse holding the back faces (or the
+    // card back / blank) in the same cell order; getCardRect mirrors them.
+    function planSheets(settings, layout, cards, cardBack) {
+        const pages = [];
+
+        if (!settings.duplex) {
+            const faces = cards.flatMap(c => c.back ? [c.front, c.back] : [c.front]);
+            for (let i = 0; i < faces.length; i += layout.perPage) {
+                pages.push({ side: 'front', images: faces.slice(i, i + layout.perPage) });
+            }
+            return pages;
+        }
+
+        // DFCs set to use the generic back print each face as its own card
+        const sheetCards = (settings.dfcBacks === 'cardback')
+            ? cards.flatMap(c => c.back
+                ? [{ front: c.front, back: cardBack }, { front: c.back, back: cardBack }]
+                : [c])
+            : cards;
+        const singleBack = (settings.singleBacks === 'cardback') ? cardBack : null;
+
+        for (let i = 0; i < sheetCards.length; i += layout.perPage) {
+            const sheet = sheetCards.slice(i, i + layout.perPage);
+            pages.push({ side: 'front', images: sheet.map(c => c.front) });
+            pages.push({ side: 'back',  images: sheet.map(c => c.back || singleBack) });
+        }
+        return pages;
+    }
+
+    // ── Card Back ──────────────────────────────────────────
+    function needsCardBack(settings) {
+        return settings.duplex &&
+            (settings.singleBacks === 'cardback' || settings.dfcBacks === 'cardback');
+    }
+
+    // Image key of the uploaded back if one is chosen and saved, otherwise of
+    // the built-in default (downloaded the first time it's needed). Null if
+    // no back is needed or none could be loaded.
+    async function resolveCardBack(settings) {
+        if (!needsCardBack(settings)) return null;
+
+        if (settings.cardBackSource === 'custom') {
+            const stored = storageGet(STORAGE_KEYS.cardBack);
+            if (stored) {
+                imageStore.set(CARD_BACK_KEYS.custom, stored);
+                return CARD_BACK_KEYS.custom;
+            }
+            addError('No uploaded card back saved — using the default back.');
+        }
+
+        if (!imageStore.has(CARD_BACK_KEYS.default)) {
+            try {
+                let data = await cacheGet(CARD_BACK_KEYS.default);
+                if (!data) {
+                    data = await getImageData(CARD_BACK_URL);
+                    cachePut(CARD_BACK_KEYS.default, data);
+                }
+                imageStore.set(CARD_BACK_KEYS.default, data);
+            } catch (err) {
+                addError(`Card back: ${err.message}`);
+                return null;
+            }
+        }
+        return CARD_BACK_KEYS.default;
+    }
+
+    // Re-encoded small enough to live in localStorage
+    async function normaliseCardBack(file) {
+        return cropToCard(await readFileAsDataURL(file), 'image/jpeg', 0.9);
+    }
+
+    // Crop an image to the card ratio (keeping the centre) and scale it to
+    // the standard card image size
+    async function cropToCard(src, type, quality) {
+        const img = await loadImage(src);
+        const { w, h } = CARD_IMAGE_PX;
+
+        const scale = Math.max(w / img.width, h / img.height);
+        const dw = img.width * scale;
+        const dh = img.height * scale;
+
+        const c = document.createElement('canvas');
+        c.width  = w;
+        c.height = h;
+        const ctx = c.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, (w - dw) / 2, (h - dh) / 2, dw, dh);
+        return c.toDataURL(type, quality);
+    }
+
+    async function onCardBackUpload() {
+        const file = dom.cardBackFile.files[0];
+        dom.cardBackFile.value = '';
+        if (!file) return;
+
+        try {
+            const data = await normaliseCardBack(file);
+            if (!storageSet(STORAGE_KEYS.cardBack, data)) {
+                throw new Error('browser storage is full or unavailable');
+            }
+            dom.cardBackSource.value = 'custom';
+            updateCardBackInfo();
+            onSettingsChange();
+        } catch (err) {
+            showError(`Card back upload failed: ${err.message}`);
+        }
+    }
+
+    function removeCardBack() {
+        storageRemove(STORAGE_KEYS.cardBack);
+        dom.cardBackSource.value = 'default';
+        updateCardBackInfo();
+        onSettingsChange();
+    }
+
+    function updateCardBackInfo() {
+        const hasCustom = !!storageGet(STORAGE_KEYS.cardBack);
+        dom.btnRemoveCardBack.disabled = !hasCustom;
+        dom.cardBackInfo.textContent = hasCustom
+            ? 'Uploaded back is saved in this browser.'
+            : 'No uploaded back yet — the default Magic back is used.';
+    }
+
+    // ================================================================
+    //  Image Cache (IndexedDB)
+    // ================================================================
+    // Downloaded print images keyed by "id|face|quality", with a last-used
+    // timestamp; the oldest are evicted once the total passes the size cap.
+    // Every operation fails soft — a broken cache just means re-downloading.
+    // Uploaded custom art shares the database in a store of its own.
+
+    let imageDBPromise  = null;
+    let imageCacheBytes = null;    // running total, measured on first write
+
+    function openImageDB() {
+        if (!imageDBPromise) {
+            imageDBPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+                const req = indexedDB.open(IMAGE_DB_NAME, 2);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                        const store = db.createObjectStore(IMAGE_STORE, { keyPath: 'key' });
+                        store.createIndex('used', 'used');
+                    }
+                    if (!db.objectStoreNames.contains(CUSTOM_STORE)) {
+                        db.createObjectStore(CUSTOM_STORE, { keyPath: 'key' });
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror   = () => reject(req.error);
+            });
+        }
+        return imageDBPromise;
+    }
+
+    function idbDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function getCacheLimitBytes() {
+        const mb = parseInt(storageGet(STORAGE_KEYS.cacheLimit), 10);
+        return (Number.isNaN(mb) ? DEFAULT_CACHE_MB : mb) * 1024 * 1024;
+    }
+
+    async function cacheGet(key) {
+        if (!getCacheLimitBytes()) return null;
+        try {
+            const db = await openImageDB();
+            const tx = db.transaction(IMAGE_STORE, 'readwrite');
+            const store = tx.objectStore(IMAGE_STORE);
+            const req = store.get(key);
+            req.onsuccess = () => {
+                if (!req.result) return;
+                req.result.used = Date.now();
+                store.put(req.result);
+            };
+            await idbDone(tx);
+            return req.result ? req.result.data : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    async function cachePut(key, data) {
+        if (!getCacheLimitBytes()) return;
+        try {
+            const db = await openImageDB();
+            await measureImageCache(db);
+
+            const tx = db.transaction(IMAGE_STORE, 'readwrite');
+            tx.objectStore(IMAGE_STORE).put({ key, data, size: data.length, used: Date.now() });
+            await idbDone(tx);
+            imageCacheBytes += data.length;
+
+            await evictImages(db);
+        } catch (err) {
+            console.warn('Image cache write failed:', err);
+        }
+    }
+
+    async function measureImageCache(db) {
+        if (imageCacheBytes !== null) return;
+        let total = 0;
+        const tx = db.transaction(IMAGE_STORE, 'readonly');
+        const req = tx.objectStore(IMAGE_STORE).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            total += cursor.value.size;
+            cursor.continue();
+        };
+        await idbDone(tx);
+        imageCacheBytes = total;
+    }
+
+    // Least recently used first, until back under the cap
+    async function evictImages(db) {
+        const limit = getCacheLimitBytes();
+        if (imageCacheBytes <= limit) return;
+
+        const tx = db.transaction(IMAGE_STORE, 'readwrite');
+        const req = tx.objectStore(IMAGE_STORE).index('used').openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor || imageCacheBytes <= limit) return;
+            imageCacheBytes -= cursor.value.size;
+            cursor.delete();
+            cursor.continue();
+        };
+        await idbDone(tx);
+    }
+
+    async function clearImageCache() {
+        try {
+            const db = await openImageDB();
+            const tx = db.transaction(IMAGE_STORE, 'readwrite');
+            tx.objectStore(IMAGE_STORE).clear();
+            await idbDone(tx);
+            imageCacheBytes = 0;
+        } catch (err) {
+            showError(`Could not clear image cache: ${err.message}`);
+        }
+        updateCacheInfo();
+    }
+
+    async function onCacheLimitChange() {
+        storageSet(STORAGE_KEYS.cacheLimit, dom.cacheLimit.value);
+        try {
+            const db = await openImageDB();
+            await measureImageCache(db);
+            await evictImages(db);
+        } catch (_) {}
+        updateCacheInfo();
+    }
+
+    async function updateCacheInfo() {
+        const limitMB = getCacheLimitBytes() / 1024 / 1024;
+        if (!limitMB) {
+            dom.cacheInfo.textContent = 'Image caching is off.';
+            return;
+        }
+        try {
+            await measureImageCache(await openImageDB());
+            const usedMB = imageCacheBytes / 1024 / 1024;
+            dom.cacheInfo.textContent = `${usedMB.toFixed(1)} MB of ${limitMB} MB used by cached images.`;
+        } catch (_) {
+            dom.cacheInfo.textContent = 'Image cache unavailable in this browser.';
+        }
+    }
+
+    // ── Custom Images ──────────────────────────────────────
+    // Uploaded art, cropped to the card ratio and kept by id outside the
+    // cache limit, since saved projects refer to it. A copy stays in memory
+    // for this session, so a failed write only costs persistence.
+    const customImages = new Map();   // Map<custom image id → base64>
+
+    async function getCustomImage(id) {
+        if (customImages.has(id)) return customImages.get(id);
+
+        let data = null;
+        try {
+            const db = await openImageDB();
+            const tx = db.transaction(CUSTOM_STORE, 'readonly');
+            const req = tx.objectStore(CUSTOM_STORE).get(id);
+            await idbDone(tx);
+            data = req.result ? req.result.data : null;
+        } catch (_) {}
+
+        if (!data) throw new Error('Custom image is missing from this browser');
+        customImages.set(id, data);
+        return data;
+    }
+
+    async function putCustomImage(id, data) {
+        customImages.set(id, data);
+        try {
+            const db = await openImageDB();
+            const tx = db.transaction(CUSTOM_STORE, 'readwrite');
+            tx.objectStore(CUSTOM_STORE).put({ key: id, data });
+            await idbDone(tx);
+        } catch (err) {
+            addError(`Custom image not saved for later sessions: ${err.message}`);
+        }
+    }
+
+    // Crop, store and return the new image's id. PNG uploads stay lossless.
+    async function saveCustomImage(file) {
+        const type = (file.type === 'image/png') ? 'image/png' : 'image/jpeg';
+        const data = await cropToCard(await readFileAsDataURL(file), type, 0.95);
+        const id = 'c' + newProjectId();
+        await putCustomImage(id, data);
+        return id;
+    }
+
+    // ================================================================
+    //  STAGE 1 — Load Cards (parse input → build cardSlots → render list)
+    // ================================================================
+
+    // savedSelections: [{ key, id, custom? }] printings (and uploaded art)
+    // to restore from a project; otherwise the choices made in the current
+    // list carry over to any line that is still there. Custom cards aren't
+    // part of the text and are kept as they are.
+    async function loadCards(savedSelections) {
+        const text = dom.cardList.value.trim();
+        const customSlots = cardSlots.filter(isCustomCard);
+        if (!text && !customSlots.length) return;
+
+        const entries = text ? parseInput(text) : [];
+        if (!entries.length && !customSlots.length) {
+            showError('No valid card entries found.');
+            return;
+        }
+
+        const selections = groupSelections(savedSelections || getSelections());
+
+        clearErrors();
+        const slots = [];
+
+        for (const entry of entries) {
+            const slot = await resolveEntry(entry);
+            restoreSelection(slot, selections);
+            slots.push(slot);
+        }
+        cardSlots = [...slots, ...customSlots];
+
+        showView('cards');
+        renderCardList();
+        scheduleProjectSave();
+    }
+
+    // Identifies a list line independent of its quantity
+    function slotKey(entry) {
+        return [entry.name.toLowerCase(), entry.set || '', entry.cn || '', entry.section || ''].join('|');
+    }
+
+    function getSelections() {
+        return cardSlots
+            .filter(slot => slot.selected && !isCustomCard(slot))
+            .map(slot => {
+                const selection = { key: slotKey(slot), id: slot.selected.id };
+                if (slot.custom) selection.custom = slot.custom;
+                if (slot.size) selection.size = slot.size;
+                return selection;
+            });
+    }
+
+    // key → queue of selections, so repeated identical lines restore in order
+    function groupSelections(selections) {
+        const map = new Map();
+        for (const selection of selections) {
+            if (!map.has(selection.key)) map.set(selection.key, []);
+            map.get(selection.key).push(selection);
+        }
+        return map;
+    }
+
+    function restoreSelection(slot, selections) {
+        const queue = selections.get(slotKey(slot));
+        if (!slot.selected || !queue || !queue.length) return;
+
+        const { id, custom, size } = queue.shift();
+        slot.custom = custom || null;
+        slot.size = size || null;
+        const card = slot.variants.find(v => v.id === id);
+        if (card) {
+            slot.selected = card;
+            slot.oracleId = card.o;
+        } else if (id !== slot.selected.id) {
+            addError(`"${slot.name}": saved printing is no longer available, using ${slot.selected.s.toUpperCase()} #${slot.selected.cn}`);
+        }
+    }
+
+    // Parsed entry → card slot, via the local DB or the API fallback
+    async function resolveEntry(entry) {
+        let selected = null;
+        let variants = [];
+        let error = null;
+        let suggestions = [];
+
+        // Try local DB
+        selected = lookupCard(entry.name, entry.set, entry.cn, entry.lang);
+
+        if (!selected && cardDBReady && entry.set && entry.cn) {
+            selected = lookupCard(entry.name, entry.set, null, entry.lang) || lookupCard(entry.name, null, null, entry.lang);
+            if (selected) {
+                addError(`"${entry.name}" has no printing [${entry.set} ${entry.cn}], using ${selected.s.toUpperCase()} #${selected.cn}`);
+            }
+        } else if (!selected && cardDBReady && entry.set) {
+            selected = lookupCard(entry.name, null);
+            if (selected) {
+                addError(`"${entry.name}" not found in set [${entry.set}], using ${selected.s.toUpperCase()}`);
+            }
+        }
+
+        if (!selected && !cardDBReady) {
+            // API fallback — get card info, create a synthetic entry
+            try {
+                await sleep(80);
+                const apiCard = await fetchCardFromAPI(entry.name, entry.set, entry.cn);
+                selected = {
+                    n:  apiCard.name,
+                    id: apiCard.id,
+                    s:  apiCard.set,
+                    cn: apiCard.collector_number,
+                    o:  apiCard.oracle_id,
+                    d:  apiCard.card_faces && apiCard.card_faces.some(f => f.image_uris) ? 1 : undefined,
+                };
+            } catch (e) {
+                error = e.message;
+                addError(e.message);
+            }
+        }
+
+        if (!selected && cardDBReady) {
+            suggestions = suggestNames(entry.name);
+            error = `Card not found: "${entry.name}"` +
+                (suggestions.length ? ` — did you mean "${suggestions[0]}"?` : '');
+            addError(error);
+        }
+
+        if (selected) {
+            variants = getVariants(selected.o);
+            // If variants is empty (API fallback, no oracle index), at least include selected
+            if (!variants.length) variants = [selected];
+        }
+
+        return {
+            name:     entry.name,
+            qty:      entry.qty,
+            set:      entry.set,
+            cn:       entry.cn,
+            lang:     entry.lang || null,
+            section:  entry.section,
+            oracleId: selected ? selected.o : null,
+            selected: selected,
+            variants: variants,
+            error:    error,
+            suggestions: suggestions,
+            custom:   null,
+            size:     null,
+        };
+    }
+
+    // ── Custom Cards ───────────────────────────────────────
+    // Cards made only of uploaded art. They sit after the parsed lines with
+    // a stand-in card as their selection, so they print like any other slot.
+    // c: { name, qty, front, back, size } with front/back custom image ids
+    // and an optional card size key.
+    function makeCustomSlot(c) {
+        const card = { n: c.name, id: `custom:${c.front}`, s: 'custom', cn: '', custom: true };
+        return {
+            name:     c.name,
+            qty:      c.qty,
+            set:      null,
+            cn:       null,
+            lang:     null,
+            section:  null,
+            oracleId: null,
+            selected: card,
+            variants: [card],
+            error:    null,
+            suggestions: [],
+            custom:   { front: c.front, back: c.back || null },
+            size:     c.size || null,
+        };
+    }
+
+    function isCustomCard(slot) {
+        return !!(slot.selected && slot.selected.custom);
+    }
+
+    function getCustomCards() {
+        return cardSlots.filter(isCustomCard).map(slot => ({
+            name:  slot.name,
+            qty:   slot.qty,
+            front: slot.custom.front,
+            back:  slot.custom.back,
+            size:  slot.size,
+        }));
+    }
+
+    function toggleCustomCardForm(show) {
+        dom.customCardForm.hidden = !show;
+        if (show) dom.customName.focus();
+    }
+
+    async function addCustomCard() {
+        const name = dom.customName.value.trim();
+        const qty  = Math.max(1, parseInt(dom.customQty.value, 10) || 1);
+        const frontFile = dom.customFront.files[0];
+        const backFile  = dom.customBack.files[0];
+        if (!name || !frontFile) {
+            showError('A custom card needs a name and a front image.');
+            return;
+        }
+
+        try {
+            const front = await saveCustomImage(frontFile);
+            const back  = backFile ? await saveCustomImage(backFile) : null;
+            cardSlots.push(makeCustomSlot({ name, qty, front, back }));
+        } catch (err) {
+            showError(`Could not add custom card: ${err.message}`);
+            return;
+        }
+
+        dom.customName.value  = '';
+        dom.customQty.value   = '1';
+        dom.customFront.value = '';
+        dom.customBack.value  = '';
+        toggleCustomCardForm(false);
+
+        showView('cards');
+        renderCardList();
+        scheduleProjectSave();
+    }
+
+    // Image files dropped on a row replace its art: the first file is the
+    // front, a second one the back
+    async function onRowImageDrop(e) {
+        const row = e.target.closest('.cl-row');
+        if (!row) return;
+        e.preventDefault();
+        row.classList.remove('drag-over');
+
+        const slot = cardSlots[parseInt(row.dataset.idx, 10)];
+        const files = [...e.dataTransfer.files].filter(f => f.type.startsWith('image/'));
+        if (!slot || !slot.selected || !files.length || isLoading) return;
+
+        try {
+            const [front, back] = await Promise.all(files.slice(0, 2).map(saveCustomImage));
+            slot.custom = { front, back: back || (slot.custom && slot.custom.back) || null };
+        } catch (err) {
+            showError(`Could not use ${files[0].name}: ${err.message}`);
+            return;
+        }
+        renderCardList();
+        scheduleProjectSave();
+    }
+
+    // Back to the Scryfall image, or off the list for a custom card
+    function removeCustomArt(slotIdx) {
+        if (isCustomCard(cardSlots[slotIdx])) cardSlots.splice(slotIdx, 1);
+        else cardSlots[slotIdx].custom = null;
+        closePopover();
+        renderCardList();
+        scheduleProjectSave();
+    }
+
+    // Accept a "did you mean" suggestion: fix the line in the input and
+    // re-resolve just that slot
+    async function applySuggestion(slotIdx, name) {
+        const slot = cardSlots[slotIdx];
+        if (!slot) return;
+        const typo = slot.name;
+
+        // Every line with the name, rebuilt from the parsed line, which may
+        // differ from the raw text (e.g. "Fire/Ic" parses as "Fire // Ic")
+        const lines = dom.cardList.value.split('\n');
+        lines.forEach((line, i) => {
+            const entry = parseLine(line.trim());
+            if (entry && entry.name === typo) lines[i] = formatEntry({ ...entry, name });
+        });
+        dom.cardList.value = lines.join('\n');
+
+        // Each slot keeps its own pinned set, number and language
+        for (let i = 0; i < cardSlots.length; i++) {
+            if (cardSlots[i].name === typo && !cardSlots[i].selected) {
+                cardSlots[i] = await resolveEntry({ ...cardSlots[i], name });
+            }
+        }
+        renderCardList();
+        scheduleProjectSave();
+    }
+
+    // ================================================================
+    //  Card Management List — Rendering
+    // ================================================================
+
+    function renderCardList() {
+        const container = dom.cardListView;
+        container.innerHTML = '';
+
+        renderCardListStats();
+
+        // Render each card row
+        cardSlots.forEach((slot, idx) => {
+            const row = document.createElement('div');
+            row.className = 'cl-row' + (slot.error ? ' cl-row-error' : '');
+            row.dataset.idx = idx;
+
+            if (slot.error && !slot.selected) {
+                // Error row — no card found
+                row.innerHTML =
+                    `<div class="cl-row-info">` +
+                        `<span class="cl-qty">${slot.qty}×</span>` +
+                        `<span class="cl-name">${esc(slot.name)}</span>` +
+                        sectionBadge(slot) +
+                        `<span class="cl-error-badge">Not found</span>` +
+                    `</div>` +
+                    (slot.suggestions && slot.suggestions.length
+                        ? `<div class="cl-suggest">Did you mean ` +
+                            slot.suggestions.map((n, i) =>
+                                `<button class="cl-suggest-btn" data-idx="${idx}" data-sug="${i}">${esc(n)}</button>`
+                            ).join(' ') +
+                          `</div>`
+                        : '');
+            } else if (slot.selected) {
+                const card = slot.selected;
+                const customFront = slot.custom && slot.custom.front;
+                const thumbUrl = customFront ? '' : buildImageUrl(card.id, 'normal', 'front');
+                const variantText = variantLabel(slot.variants);
+
+                row.innerHTML =
+                    `<div class="cl-thumb-wrap" data-idx="${idx}">` +
+                        (customFront
+                            ? `<img class="cl-thumb" data-custom="${customFront}" alt="${esc(card.n)}">`
+                            : `<img class="cl-thumb" src="${thumbUrl}" alt="${esc(card.n)}" loading="lazy">`) +
+                        (variantText
+                            ? `<button class="cl-variant-btn" data-idx="${idx}" title="Choose variant">${variantText}</button>`
+                            : '') +
+                    `</div>` +
+                    `<div class="cl-row-info">` +
+                        `<span class="cl-qty">${slot.qty}×</span>` +
+                        `<span class="cl-name">${esc(card.n)}</span>` +
+                        (card.custom ? '' : `<span class="cl-set">${card.s.toUpperCase()} #${card.cn}</span>`) +
+                        langBadge(card) +
+                        (getSlotFaces(slot).length > 1 ? `<span class="cl-dfc-badge">DFC</span>` : '') +
+                        sectionBadge(slot) +
+                        customBadge(slot, idx) +
+                        sizeSelect(slot, idx) +
+                    `</div>`;
+            }
+
+            container.appendChild(row);
+            renderSlotStatus(idx);
+        });
+
+        container.querySelectorAll('.cl-thumb[data-custom]').forEach(img => {
+            getCustomImage(img.dataset.custom).then(data => { img.src = data; }, () => {});
+        });
+
+        container.querySelectorAll('.cl-custom-remove').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeCustomArt(parseInt(el.dataset.idx, 10));
+            });
+        });
+
+        container.querySelectorAll('.cl-size').forEach(el => {
+            el.addEventListener('click', e => e.stopPropagation());
+            el.addEventListener('change', () => {
+                cardSlots[parseInt(el.dataset.idx, 10)].size = el.value || null;
+                renderCardListStats();
+                scheduleProjectSave();
+            });
+        });
+
+        container.querySelectorAll('.cl-suggest-btn').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const idx = parseInt(el.dataset.idx, 10);
+                applySuggestion(idx, cardSlots[idx].suggestions[parseInt(el.dataset.sug, 10)]);
+            });
+        });
+
+        // Attach event listeners for variant buttons and thumbnails
+        container.querySelectorAll('.cl-variant-btn, .cl-thumb-wrap').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const idx = parseInt(el.dataset.idx, 10);
+                if (openPopoverIdx === idx) {
+                    closePopover();
+                } else {
+                    openVariantPopover(idx);
+                }
+            });
+        });
+    }
+
+    function renderCardListStats() {
+        // Stats summary
+        const totalCards = cardSlots.reduce((s, slot) => s + (slot.selected ? slot.qty : 0), 0);
+        const totalFaces = cardSlots.reduce((s, slot) => {
+            if (!slot.selected) return s;
+            return s + slot.qty * getSlotFaces(slot).length;
+        }, 0);
+        const settings = getSettings();
+        let totalPages = 0;
+        for (const { size, items } of groupBySize(settings, cardSlots.filter(slot => slot.selected))) {
+            const layout = getLayout(settings, size);
+            if (!layout.perPage) continue;
+            const cards = items.reduce((s, slot) => s + slot.qty, 0);
+            const faces = items.reduce((s, slot) => s + slot.qty * getSlotFaces(slot).length, 0);
+            // Duplex: one sheet side per page of cards, plus its reverse;
+            // two-sided cards backed by the card back print each face as its
+            // own card (see planSheets)
+            const sheetCards = (settings.dfcBacks === 'cardback') ? faces : cards;
+            totalPages += settings.duplex
+                ? 2 * Math.ceil(sheetCards / layout.perPage)
+                : Math.ceil(faces / layout.perPage);
+        }
+
+        dom.cardListStats.innerHTML =
+            `<span><strong>${totalCards}</strong> cards</span>` +
+            `<span class="cl-stats-sep">·</span>` +
+            `<span><strong>${totalFaces}</strong> faces</span>` +
+            `<span class="cl-stats-sep">·</span>` +
+            `<span><strong>${totalPages}</strong> page${totalPages !== 1 ? 's' : ''}</span>`;
+        updatePdfSizeInfo();
+    }
+
+    function sectionBadge(slot) {
+        return slot.section ? `<span class="cl-section-badge">${esc(slot.section)}</span>` : '';
+    }
+
+    // Non-English printings, with the name as printed on hover
+    function langBadge(card) {
+        if (!card.l) return '';
+        const title = [LANGUAGE_LABELS[card.l] || card.l, card.fn].filter(Boolean).join(': ');
+        return `<span class="cl-lang-badge" title="${esc(title)}">${esc(card.l.toUpperCase())}</span>`;
+    }
+
+    // Per-slot card size; the default follows the sidebar setting
+    function sizeSelect(slot, idx) {
+        const options = [['', 'Default size'], ...Object.entries(CARD_SIZE_LABELS)]
+            .map(([key, label]) =>
+                `<option value="${key}"${(slot.size || '') === key ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        return `<select class="cl-size" data-idx="${idx}" title="Card size">${options}</select>`;
+    }
+
+    function customBadge(slot, idx) {
+        if (!slot.custom) return '';
+        const custom = isCustomCard(slot);
+        return `<span class="cl-custom-badge">${custom ? 'Custom card' : 'Custom art'}</span>` +
+            `<button class="cl-custom-remove" data-idx="${idx}" ` +
+            `title="${custom ? 'Remove this card' : 'Use the Scryfall image again'}">&times;</button>`;
+    }
+
+    function esc(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    // ================================================================
+    //  Card Name Autocomplete (textarea)
+    // ================================================================
+
+    let acItems  = [];
+    let acActive = 0;
+
+    // The line under the caret, split into its quantity prefix and name
+    // part. Only offered while typing at the end of a line with no set tag.
+    function getAutocompleteContext() {
+        const ta   = dom.cardList;
+        const text = ta.value;
+        const pos  = ta.selectionStart;
+        if (pos !== ta.selectionEnd) return null;
+
+        const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+        let lineEnd = text.indexOf('\n', pos);
+        if (lineEnd === -1) lineEnd = text.length;
+        if (pos !== lineEnd) return null;
+
+        const m = text.slice(lineStart, lineEnd).match(/^(\s*(?:\d+\s*[xX]?\s+)?)(.*)$/);
+        if (!m || /[[(]/.test(m[2])) return null;
+        return { lineStart, lineEnd, prefix: m[1], query: m[2] };
+    }
+
+    function updateAutocomplete() {
+        const ctx = cardDBReady ? getAutocompleteContext() : null;
+        acItems = ctx ? completeName(ctx.query) : [];
+        if (ctx && acItems.length === 1 && acItems[0] === ctx.query) acItems = [];
+        acActive = 0;
+        renderAutocomplete();
+    }
+
+    function renderAutocomplete() {
+        const list = dom.autocomplete;
+        if (!acItems.length) {
+            list.hidden = true;
+            list.innerHTML = '';
+            return;
+        }
+
+        list.innerHTML = acItems.map((name, i) =>
+            `<div class="ac-item${i === acActive ? ' ac-item-active' : ''}" data-i="${i}">${esc(name)}</div>`
+        ).join('');
+        list.hidden = false;
+
+        list.querySelectorAll('.ac-item').forEach(el => {
+            // mousedown, not click, so the textarea doesn't blur first
+            el.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                acceptAutocomplete(parseInt(el.dataset.i, 10));
+            });
+        });
+    }
+
+    function acceptAutocomplete(i) {
+        const ctx = getAutocompleteContext();
+        const name = acItems[i];
+        if (!ctx || !name) return;
+
+        const ta = dom.cardList;
+        const line = ctx.prefix + name;
+        ta.value = ta.value.slice(0, ctx.lineStart) + line + ta.value.slice(ctx.lineEnd);
+        ta.selectionStart = ta.selectionEnd = ctx.lineStart + line.length;
+        closeAutocomplete();
+    }
+
+    function closeAutocomplete() {
+        acItems = [];
+        renderAutocomplete();
+    }
+
+    function onAutocompleteKey(e) {
+        if (!acItems.length) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = (e.key === 'ArrowDown') ? 1 : -1;
+            acActive = (acActive + step + acItems.length) % acItems.length;
+            renderAutocomplete();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            acceptAutocomplete(acActive);
+        } else if (e.key === 'Escape') {
+            closeAutocomplete();
+        }
     }
 
     // ================================================================
-    //  Variant Popover
-    // ================================================================
+    //  Related Cards (tokens, emblems, meld partners)
+    // ================================================================
+    // Built from the related-card links the sync keeps on each printing.
+    // Suggestions use the card row markup and the variant popover; adding
+    // them appends pinned lines to the list, tokens under "Tokens".
+    const RELATED_KINDS = { t: 'Token', e: 'Emblem', m: 'Meld partner' };
 
-    function openVariantPopover(slotIdx) {
-        closePopover();
+    // Related cards of the listed printings that aren't in the list yet.
+    // Meld partners default to one per melding card, the rest to one each.
+    function findRelatedCards() {
+        const listed = new Set(cardSlots.map(slot => slot.oracleId).filter(Boolean));
+        const found = new Map();
 
-        const slot = cardSlots[slotIdx];
-        if (!slot || slot.variants.length <= 1) return;
+        for (const slot of cardSlots) {
+            if (!slot.selected || !slot.selected.r) continue;
+            for (const [kind, id, name] of slot.selected.r) {
+                // Printings missing from the unique-art data fall back to the name
+                const byId = findCardById(id);
+                const card = byId ? localisePrinting(byId, dom.prefLang.value) : lookupCard(name);
+                if (!card || listed.has(card.o)) continue;
+
+                const key = card.o || card.id;
+                if (!found.has(key)) {
+                    const variants = getVariants(card.o);
+                    found.set(key, {
+                        name:     card.n,
+                        qty:      0,
+                        oracleId: card.o,
+                        selected: card,
+                        variants: variants.length ? variants : [card],
+                        kind,
+                        sources:  [],
+                    });
+                }
+                const related = found.get(key);
+                related.qty = (kind === 'm') ? related.qty + slot.qty : 1;
+                if (!related.sources.includes(slot.selected.n)) related.sources.push(slot.selected.n);
+            }
+        }
+        return [...found.values()];
+    }
+
+    function suggestRelatedCards() {
+        relatedCards = findRelatedCards();
+        if (!relatedCards.length) {
+            dom.relatedPanel.hidden = true;
+            flashButton(dom.btnSuggestRelated, 'Nothing missing');
+            return;
+        }
+        dom.relatedPanel.hidden = false;
+        renderRelatedCards();
+    }
+
+    function dismissRelatedCards() {
+        relatedCards = [];
+        dom.relatedPanel.hidden = true;
+        dom.relatedView.innerHTML = '';
+    }
+
+    function renderRelatedCards() {
+        const container = dom.relatedView;
+        container.innerHTML = relatedCards.map((related, idx) => {
+            const card = related.selected;
+            const variantText = variantLabel(related.variants);
+            return `<div class="cl-row" data-related="${idx}">` +
+                `<div class="cl-thumb-wrap" data-related="${idx}">` +
+                    `<img class="cl-thumb" src="${buildImageUrl(card.id, 'normal', 'front')}" alt="${esc(card.n)}" loading="lazy">` +
+                    (variantText
+                        ? `<button class="cl-variant-btn" data-related="${idx}" title="Choose variant">${variantText}</button>`
+                        : '') +
+                `</div>` +
+                `<div class="cl-row-info">` +
+                    `<input type="number" class="cl-qty-input" data-related="${idx}" min="0" max="99" step="1" ` +
+                        `value="${related.qty}" title="Quantity (0 to skip)">` +
+                    `<span class="cl-name">${esc(card.n)}</span>` +
+                    `<span class="cl-set">${card.s.toUpperCase()} #${card.cn}</span>` +
+                    langBadge(card) +
+                    `<span class="cl-related-badge" title="For ${esc(related.sources.join(', '))}">` +
+                        `${RELATED_KINDS[related.kind]}</span>` +
+                `</div>` +
+            `</div>`;
+        }).join('');
+
+        container.querySelectorAll('.cl-qty-input').forEach(el => {
+            el.addEventListener('change', () => {
+                const qty = Math.min(99, Math.max(0, parseInt(el.value, 10) || 0));
+                relatedCards[parseInt(el.dataset.related, 10)].qty = qty;
+                el.value = qty;
+            });
+        });
+
+        container.querySelectorAll('.cl-variant-btn, .cl-thumb-wrap').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const idx = parseInt(el.dataset.related, 10);
+                const key = `r${idx}`;
+                if (openPopoverIdx === key) {
+                    closePopover();
+                    return;
+                }
+                const rowEl = container.querySelector(`.cl-row[data-related="${idx}"]`);
+                showVariantPopover(relatedCards[idx], rowEl, key, (variant) => {
+                    relatedCards[idx].selected = variant;
+                    closePopover();
+                    renderRelatedCards();
+                });
+            });
+        });
+    }
+
+    // Append the chosen suggestions to the list, pinned to their printings,
+    // and reload it. Meld partners join the main deck.
+    async function addRelatedCards() {
+        const entries = relatedCards
+            .filter(related => related.qty > 0)
+            .sort((a, b) => (a.kind === 'm' ? 0 : 1) - (b.kind === 'm' ? 0 : 1))
+            .map(related => ({
+                qty:     related.qty,
+                // As printed, so the line keeps the language picked
+                name:    related.selected.fn || related.selected.n,
+                set:     related.selected.s.toUpperCase(),
+                cn:      related.selected.cn,
+                lang:    related.selected.l,
+                section: related.kind === 'm' ? null : 'Tokens',
+            }));
+        dismissRelatedCards();
+        if (entries.length) await appendToCardList(entries);
+    }
+
+    // ================================================================
+    //  What's New (printings added by the last sync)
+    // ================================================================
+    // data/changes.json lists what the last sync added, removed and
+    // modified, by set. The panel shows the added printings that are in the
+    // loaded database, newest set first; picking one adds it to the list.
+
+    let whatsNew = null;   // [{ code, name, cards: Card[] }], loaded on first open
+
+    function renderDbChanges(meta) {
+        if (!meta.changes || !meta.changes.added) return;
+        const link = document.createElement('button');
+        link.className = 'db-status-link';
+        link.textContent = `What's new (${meta.changes.added.toLocaleString()})`;
+        link.addEventListener('click', toggleWhatsNew);
+        dom.dbStatus.append(' · ', link);
+    }
+
+    async function toggleWhatsNew() {
+        if (!dom.whatsNewPanel.hidden) {
+            dom.whatsNewPanel.hidden = true;
+            return;
+        }
+        if (!whatsNew) {
+            try {
+                const res = await fetch('data/changes.json');
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                whatsNew = groupNewCards(await res.json());
+            } catch (err) {
+                showError(`Could not load the new cards: ${err.message}`);
+                return;
+            }
+        }
+        renderWhatsNew();
+        dom.whatsNewPanel.hidden = false;
+        dom.whatsNewPanel.scrollIntoView({ block: 'nearest' });
+    }
+
+    function groupNewCards(changes) {
+        dom.whatsNewSince.textContent = changes.previous
+            ? `since ${new Date(changes.previous).toLocaleDateString()}`
+            : '';
+        return Object.entries(changes.sets || {})
+            .map(([code, set]) => ({
+                code,
+                name:  (setInfo[code] || [])[0] || code.toUpperCase(),
+                cards: (set.added || []).map(([id]) => findCardById(id)).filter(Boolean),
+            }))
+            .filter(set => set.cards.length)
+            .sort((a, b) => releaseDate(b.cards[0]).localeCompare(releaseDate(a.cards[0])));
+    }
+
+    function renderWhatsNew() {
+        const container = dom.whatsNewView;
+        if (!whatsNew.length) {
+            container.innerHTML = '<div class="input-help">None of the new printings are in the loaded card database.</div>';
+            return;
+        }
+
+        container.innerHTML = whatsNew.map((set, s) =>
+            `<div class="wn-set">` +
+                `<div class="wn-set-header">` +
+                    `<span class="wn-set-name">${esc(set.name)}</span>` +
+                    `<span class="wn-set-count">${set.cards.length} new</span>` +
+                    `<button class="btn-inline wn-add-set" data-set="${s}">Add all</button>` +
+                `</div>` +
+                `<div class="vp-grid wn-grid">` +
+                    set.cards.map((card, c) =>
+                        `<div class="vp-option" data-set="${s}" data-card="${c}" title="Add ${esc(card.n)} to the list">` +
+                            `<img class="vp-thumb" src="${buildImageUrl(card.id, 'normal', 'front')}" alt="${esc(card.n)}" loading="lazy">` +
+                            `<div class="vp-label">${esc(card.n)}</div>` +
+                        `</div>`
+                    ).join('') +
+                `</div>` +
+            `</div>`
+        ).join('');
+
+        container.querySelectorAll('.vp-option').forEach(el => {
+            el.addEventListener('click', () => {
+                el.classList.add('vp-option-selected');
+                addNewCards([whatsNew[el.dataset.set].cards[el.dataset.card]]);
+            });
+        });
+        container.querySelectorAll('.wn-add-set').forEach(el => {
+            el.addEventListener('click', () => {
+                el.closest('.wn-set').querySelectorAll('.vp-option')
+                    .forEach(opt => opt.classList.add('vp-option-selected'));
+                addNewCards(whatsNew[el.dataset.set].cards);
+            });
+        });
+    }
+
+    function addNewCards(cards) {
+        return appendToCardList(cards.map(card => ({
+            qty:     1,
+            name:    card.n,
+            set:     card.s.toUpperCase(),
+            cn:      card.cn,
+            lang:    card.l,
+            section: null,
+        })));
+    }
+
+    // ================================================================
+    //  Variant Popover
+    // ================================================================
+
+    const FRAME_LABELS = {
+        1993: '1993 frame', 1997: '1997 frame', 2003: 'Modern frame', 2015: 'Current frame', future: 'Future frame',
+    };
+    const FLAG_LABELS = { f: 'Full art', p: 'Promo', t: 'Textless' };
+    const EFFECT_LABELS = { s: 'Showcase', x: 'Extended art', e: 'Etched', i: 'Inverted' };
 
-        openPopoverIdx = slotIdx;
+    // Sort order chosen in the popover, kept for the rest of the session
+    let variantSort = 'db';
 
+    function openVariantPopover(slotIdx) {
         const rowEl = dom.cardListView.querySelector(`.cl-row[data-idx="${slotIdx}"]`);
-        if (!rowEl) return;
+        showVariantPopover(cardSlots[slotIdx], rowEl, slotIdx, variant => selectVariant(slotIdx, variant));
+    }
+
+    // Printing details, with the defaults the sync leaves out filled in
+    function printingInfo(card) {
+        const set = setInfo[card.s] || [];
+        return {
+            setName: set[0] || card.s.toUpperCase(),
+            date:    releaseDate(card),
+            frame:   card.f || '2015',
+            border:  card.b || 'black',
+            flags:   [
+                ...(card.x || '').split('').map(f => FLAG_LABELS[f]),
+                ...(card.e || '').split('').map(e => EFFECT_LABELS[e]),
+            ].filter(Boolean),
+            artist:  card.a || '',
+            language: LANGUAGE_LABELS[cardLang(card)] || cardLang(card),
+        };
+    }
+
+    // Variant grid for any slot-shaped object, attached to its row; key
+    // identifies the row for toggling (see openPopoverIdx). Printings can be
+    // sorted by release date and filtered by frame, border and artist, and
+    // shown in another language where the card has one (see printingsIn).
+    function showVariantPopover(slot, rowEl, key, onSelect) {
+        closePopover();
+        if (!slot || !rowEl || slot.variants.length <= 1) return;
+
+        openPopoverIdx = key;
+
+        let lang = cardLang(slot.selected);
+        const languages = cardLanguages(slot.variants);
+        const inLang = () => printingsIn(slot.variants, lang).map(card => ({ card, info: printingInfo(card) }));
+        let variants = inLang();
+        const filters = { frame: '', border: '', artist: '' };
 
         const popover = document.createElement('div');
         popover.className = 'variant-popover';
@@ -383,30 +2470,91 @@
         header.className = 'vp-header';
         header.innerHTML =
             `<span class="vp-title">${esc(slot.selected.n)}</span>` +
-            `<span class="vp-count">${slot.variants.length} variants</span>` +
+            `<span class="vp-count">${variants.length} variants</span>` +
             `<button class="vp-close" aria-label="Close">&times;</button>`;
         popover.appendChild(header);
 
+        // Sort and filters; a filter only shows when the printings differ
+        const select = (name, title, options) =>
+            `<select class="vp-select" data-control="${name}" title="${title}">` +
+                options.map(([value, label]) => `<option value="${esc(value)}">${esc(label)}</option>`).join('') +
+            `</select>`;
+        const distinct = (field, label) => {
+            const values = [...new Set(variants.map(v => v.info[field]))].filter(Boolean).sort();
+            return values.length > 1 ? [['', `Any ${field}`], ...values.map(v => [v, label(v)])] : null;
+        };
+        const frames  = distinct('frame', f => FRAME_LABELS[f] || f);
+        const borders = distinct('border', b => `${b[0].toUpperCase()}${b.slice(1)} border`);
+        const artists = distinct('artist', a => a);
+
+        const controls = document.createElement('div');
+        controls.className = 'vp-controls';
+        controls.innerHTML =
+            select('sort', 'Sort', [['db', 'Default order'], ['new', 'Newest first'], ['old', 'Oldest first']]) +
+            (languages.length > 1
+                ? select('lang', 'Language', languages.map(l => [l, LANGUAGE_LABELS[l] || l]))
+                : '') +
+            (frames  ? select('frame', 'Frame', frames) : '') +
+            (borders ? select('border', 'Border', borders) : '') +
+            (artists ? select('artist', 'Artist', artists) : '');
+        popover.appendChild(controls);
+
         // Grid of variant options
         const grid = document.createElement('div');
         grid.className = 'vp-grid';
 
-        for (const variant of slot.variants) {
-            const option = document.createElement('div');
-            const isSelected = variant.id === slot.selected.id;
-            option.className = 'vp-option' + (isSelected ? ' vp-option-selected' : '');
+        const renderGrid = () => {
+            const shown = variants.filter(({ info }) =>
+                Object.entries(filters).every(([field, value]) => !value || info[field] === value));
+            if (variantSort !== 'db') {
+                const dir = (variantSort === 'new') ? -1 : 1;
+                shown.sort((a, b) => dir * a.info.date.localeCompare(b.info.date));
+            }
 
-            const thumbUrl = buildImageUrl(variant.id, 'normal', 'front');
-            option.innerHTML =
-                `<img class="vp-thumb" src="${thumbUrl}" alt="${esc(variant.n)}" loading="lazy">` +
-                `<div class="vp-label">${variant.s.toUpperCase()} #${variant.cn}</div>`;
+            grid.innerHTML = '';
+            for (const { card: variant, info } of shown) {
+                const option = document.createElement('div');
+                const isSelected = variant.id === slot.selected.id;
+                option.className = 'vp-option' + (isSelected ? ' vp-option-selected' : '');
+                option.title = [
+                    variant.l && `${info.language}${variant.fn ? `: ${variant.fn}` : ''}`,
+                    `${info.setName}${info.date ? ` (${info.date})` : ''}`,
+                    info.artist && `Art: ${info.artist}`,
+                    info.flags.join(', '),
+                ].filter(Boolean).join('\n');
 
-            option.addEventListener('click', () => {
-                selectVariant(slotIdx, variant);
-            });
+                const thumbUrl = buildImageUrl(variant.id, 'normal', 'front');
+                option.innerHTML =
+                    `<img class="vp-thumb" src="${thumbUrl}" alt="${esc(variant.fn || variant.n)}" loading="lazy">` +
+                    `<div class="vp-label">${variant.s.toUpperCase()} #${variant.cn}` +
+                        `${variant.l ? ` · ${esc(variant.l.toUpperCase())}` : ''}</div>`;
 
-            grid.appendChild(option);
-        }
+                option.addEventListener('click', () => onSelect(variant));
+
+                grid.appendChild(option);
+            }
+            header.querySelector('.vp-count').textContent = (shown.length === variants.length)
+                ? `${variants.length} variants`
+                : `${shown.length} of ${variants.length}`;
+        };
+
+        controls.querySelectorAll('.vp-select').forEach(el => {
+            if (el.dataset.control === 'sort') el.value = variantSort;
+            if (el.dataset.control === 'lang') el.value = lang;
+            el.addEventListener('change', () => {
+                const control = el.dataset.control;
+                if (control === 'sort') {
+                    variantSort = el.value;
+                } else if (control === 'lang') {
+                    lang = el.value;
+                    variants = inLang();
+                } else {
+                    filters[control] = el.value;
+                }
+                renderGrid();
+            });
+        });
+        renderGrid();
 
         popover.appendChild(grid);
         rowEl.appendChild(popover);
@@ -449,6 +2597,317 @@
         slot.oracleId = variant.o;
         closePopover();
         renderCardList();
+        scheduleProjectSave();
+    }
+
+    // ================================================================
+    //  Saved Projects (localStorage)
+    // ================================================================
+
+    function getProjects() {
+        try {
+            return JSON.parse(storageGet(STORAGE_KEYS.projects)) || {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function putProjects(projects) {
+        if (!storageSet(STORAGE_KEYS.projects, JSON.stringify(projects))) {
+            showError('Could not save project — browser storage is full or unavailable.');
+            return false;
+        }
+        return true;
+    }
+
+    // Snapshot of the workspace: decklist text, chosen printings (with any
+    // uploaded art), custom cards, settings. Images themselves stay in
+    // IndexedDB and are only embedded when exporting.
+    function buildProject(name) {
+        return {
+            version:  PROJECT_VERSION,
+            name:     name,
+            updated:  new Date().toISOString(),
+            decklist: dom.cardList.value,
+            slots:    getSelections(),
+            customCards: getCustomCards(),
+            settings: readSettingControls(),
+        };
+    }
+
+    function saveCurrentProject() {
+        clearTimeout(projectSaveTimer);
+        if (!currentProjectId) return;
+
+        const projects = getProjects();
+        const existing = projects[currentProjectId];
+        if (!existing) return;
+
+        // While the list panel isn't showing there are no slots to read —
+        // keep the selections already saved rather than wiping them
+        const project = buildProject(existing.name);
+        if (!cardSlots.length) {
+            project.slots = existing.slots || [];
+            project.customCards = existing.customCards || [];
+        }
+
+        projects[currentProjectId] = project;
+        putProjects(projects);
+    }
+
+    function scheduleProjectSave() {
+        if (!currentProjectId) return;
+        clearTimeout(projectSaveTimer);
+        projectSaveTimer = setTimeout(saveCurrentProject, 500);
+    }
+
+    function setCurrentProject(id) {
+        currentProjectId = id;
+        if (id) storageSet(STORAGE_KEYS.currentProject, id);
+        else storageRemove(STORAGE_KEYS.currentProject);
+        renderProjectSwitcher();
+    }
+
+    async function openProject(project) {
+        cardSlots = (project.customCards || []).map(makeCustomSlot);
+        printCards = [];
+        dom.cardList.value = project.decklist || '';
+        applySettingControls(project.settings);
+
+        if (dom.cardList.value.trim() && cardDBReady) {
+            await loadCards(project.slots || []);
+        } else if (cardSlots.length) {
+            showView('cards');
+            renderCardList();
+        } else {
+            showView('empty');
+        }
+    }
+
+    function saveProjectAs() {
+        const current = currentProjectId && getProjects()[currentProjectId];
+        const name = prompt('Project name', current ? `${current.name} (copy)` : 'Untitled deck');
+        if (!name || !name.trim()) return;
+
+        const projects = getProjects();
+        const id = newProjectId();
+        projects[id] = buildProject(name.trim());
+        if (putProjects(projects)) setCurrentProject(id);
+    }
+
+    function deleteProject() {
+        const projects = getProjects();
+        const project = projects[currentProjectId];
+        if (!project || !confirm(`Delete project "${project.name}"?`)) return;
+
+        delete projects[currentProjectId];
+        putProjects(projects);
+        setCurrentProject(null);
+    }
+
+    async function switchProject() {
+        saveCurrentProject();
+        const id = dom.projectSelect.value || null;
+        const project = id && getProjects()[id];
+
+        // Choosing "Unsaved" just detaches — the workspace stays as it is
+        setCurrentProject(project ? id : null);
+        if (project) await openProject(project);
+    }
+
+    // The file carries its uploaded images, so it opens in another browser
+    async function exportProject() {
+        saveCurrentProject();
+        const project = (currentProjectId && getProjects()[currentProjectId]) || buildProject('Untitled deck');
+
+        const ids = new Set();
+        for (const item of [...(project.slots || []), ...(project.customCards || [])]) {
+            const custom = item.custom || item;
+            if (custom.front) ids.add(custom.front);
+            if (custom.back)  ids.add(custom.back);
+        }
+        const images = {};
+        for (const id of ids) {
+            try {
+                images[id] = await getCustomImage(id);
+            } catch (err) {
+                addError(`Export: ${err.message} (${id})`);
+            }
+        }
+
+        const filename = `${project.name.replace(/[^\w\- ]+/g, '').trim() || 'project'}.json`;
+        const file = ids.size ? { ...project, images } : project;
+        downloadFile(filename, JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    async function importProject() {
+        const file = dom.projectFile.files[0];
+        dom.projectFile.value = '';
+        if (!file) return;
+
+        try {
+            const { images, ...project } = JSON.parse(await file.text());
+            if (typeof project.decklist !== 'string') throw new Error('not a project file');
+            for (const [id, data] of Object.entries(images || {})) {
+                await putCustomImage(id, data);
+            }
+
+            saveCurrentProject();
+            const projects = getProjects();
+            const id = newProjectId();
+            projects[id] = {
+                ...project,
+                version: PROJECT_VERSION,
+                name:    project.name || file.name.replace(/\.json$/i, ''),
+                updated: new Date().toISOString(),
+            };
+            if (!putProjects(projects)) return;
+
+            setCurrentProject(id);
+            await openProject(projects[id]);
+        } catch (err) {
+            showError(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+
+    function newProjectId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    function renderProjectSwitcher() {
+        const projects = getProjects();
+        const ids = Object.keys(projects)
+            .sort((a, b) => projects[a].name.localeCompare(projects[b].name));
+
+        dom.projectSelect.innerHTML =
+            `<option value="">— Unsaved —</option>` +
+            ids.map(id => `<option value="${id}">${esc(projects[id].name)}</option>`).join('');
+        dom.projectSelect.value = currentProjectId || '';
+
+        dom.btnProjectDelete.disabled = !currentProjectId;
+        dom.projectInfo.textContent = currentProjectId
+            ? 'Changes are saved automatically in this browser.'
+            : 'Use “Save as…” to keep this list, its printings and settings.';
+    }
+
+    // ================================================================
+    //  Share Links (#deck=…)
+    // ================================================================
+    // The hash holds a deflated, base64url JSON payload:
+    //   { v, c: [[qty, name, idHex, section?, size?]], s: { control: value } }
+    // "z" prefix = deflate-raw, "j" = plain (browsers without CompressionStream).
+
+    // Uploaded art only exists in the sender's browser, so custom cards are
+    // left out and replaced art falls back to the Scryfall printing
+    async function buildShareLink() {
+        const payload = {
+            v: SHARE_VERSION,
+            c: cardSlots.filter(slot => !isCustomCard(slot)).map(slot => {
+                const row = [slot.qty, slot.selected ? slot.selected.n : slot.name,
+                    slot.selected ? slot.selected.id.replace(/-/g, '') : ''];
+                if (slot.section || slot.size) row.push(slot.section);
+                if (slot.size) row.push(slot.size);
+                return row;
+            }),
+            s: readSettingControls(),
+        };
+        // An uploaded back only exists in the sender's browser
+        delete payload.s.cardBackSource;
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        const packed = (typeof CompressionStream === 'function')
+            ? 'z' + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))
+            : 'j' + bytesToBase64Url(bytes);
+
+        return location.href.split('#')[0] + SHARE_PREFIX + packed;
+    }
+
+    async function parseShareHash(hash) {
+        const packed = hash.slice(SHARE_PREFIX.length);
+        let bytes = base64UrlToBytes(packed.slice(1));
+        if (packed[0] === 'z') {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (packed[0] !== 'j') {
+            throw new Error('unrecognised link format');
+        }
+
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        if (payload.v !== SHARE_VERSION || !Array.isArray(payload.c)) {
+            throw new Error('link was made by an incompatible version');
+        }
+        return payload;
+    }
+
+    async function copyShareLink() {
+        if (!cardSlots.length) return;
+
+        const url = await buildShareLink();
+        try {
+            await navigator.clipboard.writeText(url);
+            flashButton(dom.btnShareLink, 'Link copied!');
+        } catch (_) {
+            prompt('Copy this link:', url);
+        }
+        if (cardSlots.some(slot => slot.custom)) {
+            showError('Custom images are not included in share links — export the project to share them.');
+        }
+    }
+
+    // Rebuild the list from a shared link, using the local card database
+    // to turn printing ids back into exact [SET CN] pins
+    async function openShareLink() {
+        let payload;
+        try {
+            payload = await parseShareHash(location.hash);
+        } catch (err) {
+            showError(`Could not open shared link: ${err.message}`);
+            return;
+        }
+
+        const entries = [];
+        const selections = [];
+        const missing = [];
+
+        for (const [qty, name, idHex, section = null, size = null] of payload.c) {
+            const id = idHex ? hexToUuid(idHex) : '';
+            const card = id ? findCardById(id) : null;
+            if (id && !card) missing.push(name);
+
+            const entry = {
+                qty, section,
+                name: card ? card.n : name,
+                set:  card ? card.s.toUpperCase() : null,
+                cn:   card ? card.cn : null,
+            };
+            entries.push(entry);
+            if (card) selections.push({ key: slotKey(entry), id: card.id, size });
+        }
+
+        // Opening a link starts a new unsaved list; drop the hash so a
+        // reload doesn't overwrite edits made since
+        saveCurrentProject();
+        setCurrentProject(null);
+        history.replaceState(null, '', location.pathname + location.search);
+
+        cardSlots = [];
+        dom.cardList.value = entriesToText(entries);
+        applySettingControls(payload.s);
+        await loadCards(selections);
+
+        for (const name of missing) {
+            addError(`"${name}": the shared printing is no longer in the card database, using the default printing`);
+        }
+    }
+
+    function hexToUuid(hex) {
+        return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    }
+
+    async function restoreCurrentProject() {
+        const id = storageGet(STORAGE_KEYS.currentProject);
+        const project = id && getProjects()[id];
+        setCurrentProject(project ? id : null);
+        if (project) await openProject(project);
     }
 
     // ================================================================
@@ -456,131 +2915,297 @@
     // ================================================================
 
     async function generatePreview() {
-        if (!cardSlots.length) return;
+        if (!cardSlots.length || isLoading) return;
 
         const validSlots = cardSlots.filter(s => s.selected);
         if (!validSlots.length) {
             showError('No valid cards to preview.');
             return;
         }
+        const fitError = checkCardsFit(getSettings(), validSlots);
+        if (fitError) {
+            showError(fitError);
+            return;
+        }
+
+        // Finished downloads from earlier runs are reused; anything else
+        // (new, failed, or cancelled last time) is fetched again
+        const jobs = getDownloadJobs(validSlots, getSettings().imageQuality);
+        await runDownloads(jobs.filter(job => job.status !== 'done'));
+    }
+
+    // Only the images that failed last time
+    async function retryFailedDownloads() {
+        if (isLoading) return;
+        await runDownloads([...downloadJobs.values()].filter(job => job.status === 'failed'));
+    }
+
+    // ── Download Queue ─────────────────────────────────────
+    // One job per unique image (printing + face + quality, or uploaded art),
+    // shared by every slot that uses it. Jobs are { key, card, face, quality,
+    // customId, status, error } with status 'pending' | 'loading' | 'done' |
+    // 'failed'; the loaded image lives in imageStore under the job key.
+    function downloadKey(card, face, quality) {
+        return `${card.id}|${face}|${quality}`;
+    }
+
+    // The faces one copy of a slot prints. Uploaded art can give a
+    // single-faced card a back of its own.
+    function getSlotFaces(slot) {
+        const faces = getFacesForCard(slot.selected);
+        if (slot.custom && slot.custom.back && !faces.includes('back')) faces.push('back');
+        return faces;
+    }
+
+    // Per face, the image to print: uploaded art where there is some,
+    // otherwise the Scryfall image at the given quality
+    function getSlotImages(slot, quality) {
+        return getSlotFaces(slot).map(face => {
+            const customId = slot.custom && slot.custom[face];
+            return customId
+                ? { key: `custom|${customId}`, face, customId }
+                : { key: downloadKey(slot.selected, face, quality), face, card: slot.selected };
+        });
+    }
+
+    function getDownloadJobs(slots, quality) {
+        const wanted = new Map();
+        for (const slot of slots) {
+            for (const image of getSlotImages(slot, quality)) {
+                const job = downloadJobs.get(image.key) ||
+                    { ...image, quality, status: 'pending', error: null };
+                wanted.set(image.key, job);
+            }
+        }
+        // Drop jobs no longer referenced so their image data can be freed
+        for (const key of downloadJobs.keys()) {
+            if (!wanted.has(key)) {
+                imageStore.delete(key);
+                bleedCache.images.delete(key);
+                exportCache.images.delete(key);
+            }
+        }
+        downloadJobs = wanted;
+        return [...wanted.values()];
+    }
+
+    async function runDownloads(jobs) {
+        isLoading = true;
+        downloadAbort = new AbortController();
+        const { signal } = downloadAbort;
+
+        printCards = [];
+        clearErrors();
+        setProgress(0, 'Downloading images…');
+        dom.progressContainer.classList.add('active');
+        dom.btnGenerate.disabled = true;
+        dom.btnDownload.disabled = true;
+        dom.btnCancel.style.display = '';
+        dom.btnRetryFailed.style.display = 'none';
+
+        // A fixed pool of workers pulling from the shared queue
+        let next = 0;
+        let finished = 0;
+        const worker = async () => {
+            while (next < jobs.length && !signal.aborted) {
+                const job = jobs[next++];
+                await downloadJob(job, signal);
+                finished++;
+                setProgress(finished / jobs.length, `Downloading ${finished}/${jobs.length}…`);
+            }
+        };
+        const poolSize = Math.min(DOWNLOAD_CONCURRENCY, jobs.length);
+        await Promise.all(Array.from({ length: poolSize }, worker));
+
+        isLoading = false;
+        downloadAbort = null;
+        dom.progressContainer.classList.remove('active');
+        dom.btnGenerate.disabled = false;
+        dom.btnCancel.style.display = 'none';
+
+        finishDownloads(signal.aborted);
+    }
+
+    async function downloadJob(job, signal) {
+        setJobStatus(job, 'loading');
+
+        for (let attempt = 0; attempt <= DOWNLOAD_RETRIES; attempt++) {
+            try {
+                imageStore.set(job.key, job.customId
+                    ? await getCustomImage(job.customId)
+                    : await getCardImage(job.card, job.face, job.quality, signal));
+                job.error = null;
+                setJobStatus(job, 'done');
+                return;
+            } catch (err) {
+                if (signal.aborted) break;
+                job.error = err.message;
+                if (attempt < DOWNLOAD_RETRIES) await sleep(RETRY_BASE_MS * 2 ** attempt, signal);
+                if (signal.aborted) break;
+            }
+        }
+        // Cancelled jobs go back to the queue for the next run
+        setJobStatus(job, signal.aborted ? 'pending' : 'failed');
+    }
 
-        isLoading = true;
-        allImages = [];
-        clearErrors();
-        setProgress(0, 'Downloading images…');
-        dom.progressContainer.classList.add('active');
-        dom.btnGenerate.disabled = true;
-        dom.btnDownload.disabled = true;
+    function cancelDownloads() {
+        if (downloadAbort) downloadAbort.abort();
+    }
 
+    // Build printCards from every slot whose faces all downloaded. Copies
+    // share the job keys, so each image is held (and later embedded) once.
+    function finishDownloads(cancelled) {
+        const validSlots = cardSlots.filter(s => s.selected);
         const quality = getSettings().imageQuality;
-        let done = 0;
-        const total = validSlots.reduce((s, slot) => s + slot.qty, 0);
+        let skipped = 0;
+        let failed = 0;
 
         for (const slot of validSlots) {
-            try {
-                const imageUrls = getImageUrlsForCard(slot.selected, quality);
-                const faceDataList = [];
-
-                for (const url of imageUrls) {
-                    const data = await getImageData(url);
-                    faceDataList.push(data);
-                }
+            const jobs = getSlotImages(slot, quality).map(image => downloadJobs.get(image.key));
 
+            if (jobs.every(job => job && job.status === 'done')) {
                 for (let i = 0; i < slot.qty; i++) {
-                    for (const data of faceDataList) {
-                        allImages.push(data);
-                    }
-                    done++;
-                    setProgress(done / total, `Downloading ${done}/${total}…`);
+                    printCards.push({ front: jobs[0].key, back: jobs[1] ? jobs[1].key : null, size: slot.size });
                 }
-            } catch (err) {
-                addError(`${slot.name}: ${err.message}`);
-                done += slot.qty;
-                setProgress(done / total);
+            } else if (jobs.some(job => job && job.status === 'failed')) {
+                const job = jobs.find(j => j && j.status === 'failed');
+                addError(`${slot.name}: ${job.error}`);
+                failed++;
+            } else {
+                skipped++;
             }
         }
 
-        isLoading = false;
-        dom.progressContainer.classList.remove('active');
-        dom.btnGenerate.disabled = false;
+        if (cancelled && skipped) {
+            addError(`Cancelled — ${skipped} card${skipped !== 1 ? 's' : ''} not downloaded. Generate again to continue.`);
+        }
+        dom.btnRetryFailed.style.display = failed ? '' : 'none';
 
-        if (allImages.length) {
+        if (printCards.length) {
             showView('preview');
             renderPreview();
             dom.btnDownload.disabled = false;
+        } else if (!cancelled) {
+            addError('No images could be loaded.');
+        }
+    }
+
+    // Per-card download state, shown on the card list rows
+    function setJobStatus(job, status) {
+        job.status = status;
+        cardSlots.forEach((slot, idx) => {
+            if (slot.selected && getSlotImages(slot, job.quality).some(image => image.key === job.key)) {
+                renderSlotStatus(idx);
+            }
+        });
+    }
+
+    function getSlotStatus(slot) {
+        if (!slot.selected) return null;
+        const quality = getSettings().imageQuality;
+        const statuses = getSlotImages(slot, quality)
+            .map(image => downloadJobs.get(image.key))
+            .map(job => (job ? job.status : null));
+
+        if (statuses.includes('failed'))  return 'failed';
+        if (statuses.includes('loading')) return 'loading';
+        if (statuses.every(st => st === 'done')) return 'done';
+        return null;
+    }
+
+    function renderSlotStatus(idx) {
+        const row = dom.cardListView.querySelector(`.cl-row[data-idx="${idx}"]`);
+        if (!row) return;
+        const status = getSlotStatus(cardSlots[idx]);
+        if (status) {
+            row.dataset.status = status;
+            row.dataset.statusLabel = DOWNLOAD_STATUS_LABELS[status];
         } else {
-            showError('No images could be loaded.');
+            delete row.dataset.status;
+            delete row.dataset.statusLabel;
         }
     }
 
     // ── Preview Rendering (Canvas) ─────────────────────────
     async function renderPreview() {
         const settings = getSettings();
-        pageCount = Math.ceil(allImages.length / CARDS_PER_PAGE);
+        const fitError = checkCardsFit(settings, printCards);
+        if (fitError) {
+            showError(fitError);
+            return;
+        }
+
+        const cardBack = await resolveCardBack(settings);
+        const pages = buildPages(settings, cardBack);
+        pageCount = pages.length;
 
         dom.statsBar.style.display = 'flex';
-        dom.statCards.textContent  = allImages.length;
+        dom.statCards.textContent  = pages
+            .filter(page => page.side === 'front')
+            .reduce((n, page) => n + page.images.length, 0);
         dom.statPages.textContent  = pageCount;
 
         dom.pageContainer.innerHTML = '';
 
+        // Each unique image is decoded once per card size and drawn into
+        // every cell using it
+        const decoded = new Map();
+        const mixedSizes = new Set(pages.map(page => page.size.key)).size > 1;
+
         for (let p = 0; p < pageCount; p++) {
             const wrapper = document.createElement('div');
             wrapper.className = 'page-wrapper';
 
             const label = document.createElement('div');
             label.className = 'page-label';
-            label.textContent = `Page ${p + 1} of ${pageCount}`;
+            label.textContent = `Page ${p + 1} of ${pageCount}` +
+                (mixedSizes ? ` · ${CARD_SIZE_LABELS[pages[p].size.key]}` : '') +
+                (settings.duplex ? ` · ${pages[p].side}` : '');
 
+            const { layout } = pages[p];
             const canvas = document.createElement('canvas');
             canvas.className = 'page-canvas';
-            canvas.width  = PAGE_W_MM * PREVIEW_SCALE;
-            canvas.height = PAGE_H_MM * PREVIEW_SCALE;
-            canvas.style.width  = `${PAGE_W_MM * PREVIEW_SCALE / 2}px`;
-            canvas.style.height = `${PAGE_H_MM * PREVIEW_SCALE / 2}px`;
+            canvas.width  = layout.pageW * PREVIEW_SCALE;
+            canvas.height = layout.pageH * PREVIEW_SCALE;
+            canvas.style.width  = `${layout.pageW * PREVIEW_SCALE / 2}px`;
+            canvas.style.height = `${layout.pageH * PREVIEW_SCALE / 2}px`;
 
             wrapper.appendChild(label);
             wrapper.appendChild(canvas);
             dom.pageContainer.appendChild(wrapper);
 
-            await drawPage(canvas, p, settings);
+            await drawPage(canvas, pages[p], settings, decoded);
         }
     }
 
-    async function drawPage(canvas, pageIndex, settings) {
+    async function drawPage(canvas, page, settings, decoded) {
+        const { layout, size } = page;
         const ctx = canvas.getContext('2d');
         const s   = PREVIEW_SCALE;
 
         ctx.fillStyle = '#ffffff';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-        const startIdx = pageIndex * CARDS_PER_PAGE;
-        let drawn = 0;
-
-        for (let row = 0; row < ROWS; row++) {
-            for (let col = 0; col < COLS; col++) {
-                const idx = startIdx + row * COLS + col;
-                if (idx >= allImages.length) break;
-
-                const x = (MARGIN_X + col * CARD_W_MM) * s;
-                const y = (MARGIN_Y + row * CARD_H_MM) * s;
-                const w = CARD_W_MM * s;
-                const h = CARD_H_MM * s;
-
-                try {
-                    const img = await loadImage(allImages[idx]);
-                    ctx.drawImage(img, x, y, w, h);
-                } catch (_) {}
-                drawn++;
-            }
+        for (let i = 0; i < page.images.length; i++) {
+            if (!page.images[i]) continue;
+            const { x, y, w, h } = getCardRect(layout, i, page.side, layout.bleed);
+            try {
+                const key = `${page.images[i]}|${sizeId(size)}`;
+                if (!decoded.has(key)) {
+                    decoded.set(key, loadImage(await getPrintImage(page.images[i], settings, size)));
+                }
+                const img = await decoded.get(key);
+                ctx.drawImage(img, x * s, y * s, w * s, h * s);
+            } catch (_) {}
         }
 
-        if (settings.cutLines !== 'none' && drawn > 0) {
-            drawCutLinesCanvas(ctx, s, settings, startIdx);
+        // Cutting happens from the front, so reverse sides stay clean
+        if (settings.cutLines !== 'none' && page.side === 'front' && page.images.length) {
+            drawCutLinesCanvas(ctx, s, settings, layout, page.images.length);
         }
     }
 
-    function drawCutLinesCanvas(ctx, s, settings, startIdx) {
+    function drawCutLinesCanvas(ctx, s, settings, layout, cardsOnPage) {
         ctx.save();
         ctx.strokeStyle = settings.cutColour;
         ctx.lineWidth   = settings.cutWidth * s;
@@ -591,136 +3216,574 @@
             ctx.setLineDash([]);
         }
 
-        const cardsOnPage = Math.min(allImages.length - startIdx, CARDS_PER_PAGE);
-        const filledCols = Math.min(cardsOnPage, COLS);
-        const filledRows = Math.ceil(cardsOnPage / COLS);
-
-        if (settings.cutLines === 'grid') {
-            const lastRowCols = cardsOnPage - (filledRows - 1) * COLS;
-            for (let row = 0; row <= filledRows; row++) {
-                const y = (MARGIN_Y + row * CARD_H_MM) * s;
-                const cols = (row === filledRows) ? lastRowCols : filledCols;
-                ctx.beginPath();
-                ctx.moveTo(MARGIN_X * s, y);
-                ctx.lineTo((MARGIN_X + cols * CARD_W_MM) * s, y);
-                ctx.stroke();
-            }
-            for (let col = 0; col <= filledCols; col++) {
-                const x = (MARGIN_X + col * CARD_W_MM) * s;
-                const rowSpan = (col <= lastRowCols) ? filledRows : (filledRows - 1);
-                ctx.beginPath();
-                ctx.moveTo(x, MARGIN_Y * s);
-                ctx.lineTo(x, (MARGIN_Y + rowSpan * CARD_H_MM) * s);
-                ctx.stroke();
-            }
-        } else if (settings.cutLines === 'corners') {
-            const markLen = 4 * s;
-            for (let i = 0; i < cardsOnPage; i++) {
-                const row = Math.floor(i / COLS);
-                const col = i % COLS;
-                const x1 = (MARGIN_X + col * CARD_W_MM) * s;
-                const y1 = (MARGIN_Y + row * CARD_H_MM) * s;
-                const x2 = x1 + CARD_W_MM * s;
-                const y2 = y1 + CARD_H_MM * s;
-                drawCornerMarks(ctx, x1, y1, x2, y2, markLen);
-            }
+        ctx.beginPath();
+        for (const [x1, y1, x2, y2] of getCutSegments(layout, settings.cutLines, cardsOnPage)) {
+            ctx.moveTo(x1 * s, y1 * s);
+            ctx.lineTo(x2 * s, y2 * s);
         }
+        ctx.stroke();
         ctx.restore();
     }
 
-    function drawCornerMarks(ctx, x1, y1, x2, y2, len) {
-        ctx.beginPath(); ctx.moveTo(x1 - len, y1); ctx.lineTo(x1, y1); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x1, y1 - len); ctx.lineTo(x1, y1); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x2, y1); ctx.lineTo(x2 + len, y1); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x2, y1 - len); ctx.lineTo(x2, y1); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x1 - len, y2); ctx.lineTo(x1, y2); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x1, y2); ctx.lineTo(x1, y2 + len); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x2, y2); ctx.lineTo(x2 + len, y2); ctx.stroke();
-        ctx.beginPath(); ctx.moveTo(x2, y2); ctx.lineTo(x2, y2 + len); ctx.stroke();
-    }
-
     // ── PDF Generation ─────────────────────────────────────
-    function generatePDF() {
-        if (!allImages.length) return;
+    // Pages are assembled one at a time by the PDF builder (in a worker when
+    // possible) while the export images for the next page are prepared here.
+    let pdfAbort = null;   // AbortController for the PDF in progress
+
+    async function generatePDF() {
+        if (!printCards.length || isLoading) return;
 
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
         const settings = getSettings();
-        const pages = Math.ceil(allImages.length / CARDS_PER_PAGE);
+        const fitError = checkCardsFit(settings, printCards);
+        if (fitError) {
+            showError(fitError);
+            return;
+        }
+
+        isLoading = true;
+        clearErrors();
+        setProgress(0, 'Building PDF…');
+        dom.progressContainer.classList.add('active');
+        dom.btnDownload.disabled = true;
+        dom.btnBackToCards.disabled = true;
+        dom.btnCancel.style.display = '';
+
+        // Set up before jsPDF loads, so Cancel works from the start
+        pdfAbort = new AbortController();
+        let pdfBuilder = null;
+        let blob = null;
+        try {
+            const cardBack = await resolveCardBack(settings);
+            const pages = buildPages(settings, cardBack);
+            const sent = new Set();
 
-        for (let p = 0; p < pages; p++) {
-            if (p > 0) doc.addPage();
-            const startIdx = p * CARDS_PER_PAGE;
+            pdfBuilder = await openPdfBuilder(pdfAbort.signal);
 
-            for (let i = 0; i < CARDS_PER_PAGE; i++) {
-                const idx = startIdx + i;
-                if (idx >= allImages.length) break;
-                const row = Math.floor(i / COLS);
-                const col = i % COLS;
-                doc.addImage(allImages[idx], 'JPEG',
-                    MARGIN_X + col * CARD_W_MM,
-                    MARGIN_Y + row * CARD_H_MM,
-                    CARD_W_MM, CARD_H_MM);
-            }
+            for (let p = 0; p < pages.length; p++) {
+                const page = pages[p];
+                const { layout, size } = page;
+                const images = [];
+
+                for (let i = 0; i < page.images.length; i++) {
+                    if (!page.images[i]) continue;
+                    // Image key and card size make the PDF alias: the first
+                    // use embeds the image, later copies only reference it
+                    const alias = `${page.images[i]}|${sizeId(size)}`;
+                    const { x, y, w, h } = getCardRect(layout, i, page.side, layout.bleed);
+                    const placement = { alias, x, y, w, h };
+
+                    if (!sent.has(alias)) {
+                        const data = await getExportImage(page.images[i], settings, size);
+                        if (!data) continue;
+                        placement.data   = data;
+                        placement.format = getImageFormat(data);
+                        sent.add(alias);
+                    }
+                    images.push(placement);
+                }
 
-            if (settings.cutLines !== 'none') {
-                drawCutLinesPDF(doc, settings, startIdx);
+                // Cutting happens from the front, so reverse sides stay clean
+                const cuts = (settings.cutLines !== 'none' && page.side === 'front')
+                    ? getPdfCuts(settings, layout, page.images.length)
+                    : null;
+
+                await pdfBuilder.addPage({
+                    format: { orientation: layout.orientation, pageW: layout.pageW, pageH: layout.pageH },
+                    images,
+                    cuts,
+                });
+                setProgress((p + 1) / pages.length, `Building PDF — page ${p + 1}/${pages.length}…`);
             }
+
+            setProgress(1, 'Saving PDF…');
+            blob = await pdfBuilder.finish();
+        } catch (err) {
+            if (err.name === 'AbortError') addError('PDF cancelled.');
+            else addError(`PDF failed: ${err.message}`);
+        } finally {
+            // Any failure too: the worker holds jsPDF and every image sent
+            if (pdfBuilder) pdfBuilder.close();
         }
 
-        doc.save('proxies.pdf');
+        pdfAbort = null;
+        isLoading = false;
+        dom.progressContainer.classList.remove('active');
+        dom.btnDownload.disabled = false;
+        dom.btnBackToCards.disabled = false;
+        dom.btnCancel.style.display = 'none';
+
+        if (blob) downloadFile('proxies.pdf', blob, 'application/pdf');
+    }
+
+    function cancelPdf() {
+        if (pdfAbort) pdfAbort.abort();
     }
 
-    function drawCutLinesPDF(doc, settings, startIdx) {
+    // Cut lines in the form createPdfBuilder draws them
+    function getPdfCuts(settings, layout, cardsOnPage) {
         const hex = settings.cutColour.replace('#', '');
-        const r = parseInt(hex.substring(0, 2), 16);
-        const g = parseInt(hex.substring(2, 4), 16);
-        const b = parseInt(hex.substring(4, 6), 16);
+        return {
+            segments: getCutSegments(layout, settings.cutLines, cardsOnPage),
+            rgb: [0, 2, 4].map(i => parseInt(hex.substring(i, i + 2), 16)),
+            width: settings.cutWidth,
+            dashed: settings.cutStyle === 'dashed',
+        };
+    }
 
-        doc.setDrawColor(r, g, b);
-        doc.setLineWidth(settings.cutWidth);
-        if (settings.cutStyle === 'dashed') {
-            doc.setLineDashPattern([2, 2], 0);
-        } else {
-            doc.setLineDashPattern([], 0);
-        }
-
-        const cardsOnPage = Math.min(allImages.length - startIdx, CARDS_PER_PAGE);
-        const filledCols = Math.min(cardsOnPage, COLS);
-        const filledRows = Math.ceil(cardsOnPage / COLS);
-
-        if (settings.cutLines === 'grid') {
-            const lastRowCols = cardsOnPage - (filledRows - 1) * COLS;
-            for (let row = 0; row <= filledRows; row++) {
-                const y = MARGIN_Y + row * CARD_H_MM;
-                const cols = (row === filledRows) ? lastRowCols : filledCols;
-                doc.line(MARGIN_X, y, MARGIN_X + cols * CARD_W_MM, y);
-            }
-            for (let col = 0; col <= filledCols; col++) {
-                const x = MARGIN_X + col * CARD_W_MM;
-                const rowSpan = (col <= lastRowCols) ? filledRows : (filledRows - 1);
-                doc.line(x, MARGIN_Y, x, MARGIN_Y + rowSpan * CARD_H_MM);
-            }
-        } else if (settings.cutLines === 'corners') {
-            const markLen = 4;
-            for (let i = 0; i < cardsOnPage; i++) {
-                const row = Math.floor(i / COLS);
-                const col = i % COLS;
-                const x1 = MARGIN_X + col * CARD_W_MM;
-                const y1 = MARGIN_Y + row * CARD_H_MM;
-                const x2 = x1 + CARD_W_MM;
-                const y2 = y1 + CARD_H_MM;
-                doc.line(x1 - markLen, y1, x1, y1);
-                doc.line(x1, y1 - markLen, x1, y1);
-                doc.line(x2, y1, x2 + markLen, y1);
-                doc.line(x2, y1 - markLen, x2, y1);
-                doc.line(x1 - markLen, y2, x1, y2);
-                doc.line(x1, y2, x1, y2 + markLen);
-                doc.line(x2, y2, x2 + markLen, y2);
-                doc.line(x2, y2, x2, y2 + markLen);
-            }
-        }
-        doc.setLineDashPattern([], 0);
+    // ================================================================
+    //  Workers (image processing + PDF assembly off the main thread)
+    // ================================================================
+    // Workers are started from functions in this file via Blob URLs, so the
+    // app keeps working as a single script opened straight from disk. The
+    // functions they run are self-contained (no closure over this module);
+    // when a worker can't be started the same functions run here instead.
+
+    function createWorker(...parts) {
+        try {
+            const source = parts.map(part => String(part)).join('\n');
+            return new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        } catch (err) {
+            console.warn('Worker unavailable, using the main thread:', err);
+            return null;
+        }
+    }
+
+    // ── Image Processing ───────────────────────────────────
+    // Decodes an image (Blob or data URL), optionally grows it by a bleed
+    // margin and downsamples it, and encodes the result as a Blob. The bleed
+    // area is filled either by stretching the outermost row/column of pixels
+    // ('extend') or by reflecting the image across each edge ('mirror').
+    //
+    // opts: aspect (w/h to centre-crop to first, 0 to keep the shape),
+    //       { bleedX, bleedY } bleed as a fraction of the image size, mode,
+    //       maxWidth (px, 0 for no limit), type, quality, and onlyIfScaled
+    //       to get null back when no bleed or resampling was needed.
+    async function renderCardImage(source, opts) {
+        const makeCanvas = (cw, ch) => {
+            if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(cw, ch);
+            const c = document.createElement('canvas');
+            c.width  = cw;
+            c.height = ch;
+            return c;
+        };
+
+        if (typeof source === 'string') source = await (await fetch(source)).blob();
+        let img = await createImageBitmap(source);
+
+        if (opts.aspect && Math.abs(img.width / img.height - opts.aspect) > 0.005) {
+            const cw = Math.min(img.width, Math.round(img.height * opts.aspect));
+            const ch = Math.min(img.height, Math.round(img.width / opts.aspect));
+            const cropped = makeCanvas(cw, ch);
+            cropped.getContext('2d').drawImage(img, (img.width - cw) / 2, (img.height - ch) / 2, cw, ch, 0, 0, cw, ch);
+            img.close();
+            img = cropped;
+        }
+
+        const w = img.width;
+        const h = img.height;
+        const padX = opts.bleedX ? Math.max(1, Math.round(w * opts.bleedX)) : 0;
+        const padY = opts.bleedY ? Math.max(1, Math.round(h * opts.bleedY)) : 0;
+        const fullW = w + 2 * padX;
+        const fullH = h + 2 * padY;
+        const scale = opts.maxWidth ? Math.min(1, opts.maxWidth / fullW) : 1;   // never upsample
+
+        if (opts.onlyIfScaled && !padX && !padY && scale === 1) {
+            if (img.close) img.close();
+            return null;
+        }
+
+        let c = makeCanvas(fullW, fullH);
+        const ctx = c.getContext('2d');
+
+        if (padX || padY) {
+            if (opts.mode === 'mirror') {
+                // Reflected copies of the whole image around it; the canvas clips the excess
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (!dx && !dy) continue;
+                        ctx.save();
+                        ctx.translate(padX + dx * w + (dx ? w : 0), padY + dy * h + (dy ? h : 0));
+                        ctx.scale(dx ? -1 : 1, dy ? -1 : 1);
+                        ctx.drawImage(img, 0, 0);
+                        ctx.restore();
+                    }
+                }
+            } else {
+                // Edges
+                ctx.drawImage(img, 0, 0, 1, h, 0, padY, padX, h);
+                ctx.drawImage(img, w - 1, 0, 1, h, padX + w, padY, padX, h);
+                ctx.drawImage(img, 0, 0, w, 1, padX, 0, w, padY);
+                ctx.drawImage(img, 0, h - 1, w, 1, padX, padY + h, w, padY);
+                // Corners
+                ctx.drawImage(img, 0, 0, 1, 1, 0, 0, padX, padY);
+                ctx.drawImage(img, w - 1, 0, 1, 1, padX + w, 0, padX, padY);
+                ctx.drawImage(img, 0, h - 1, 1, 1, 0, padY + h, padX, padY);
+                ctx.drawImage(img, w - 1, h - 1, 1, 1, padX + w, padY + h, padX, padY);
+            }
+        }
+        ctx.drawImage(img, padX, padY);
+        if (img.close) img.close();
+
+        if (scale < 1) {
+            const scaled = makeCanvas(Math.max(1, Math.round(fullW * scale)), Math.max(1, Math.round(fullH * scale)));
+            const sctx = scaled.getContext('2d');
+            sctx.imageSmoothingQuality = 'high';
+            sctx.drawImage(c, 0, 0, scaled.width, scaled.height);
+            c = scaled;
+        }
+
+        return c.convertToBlob
+            ? c.convertToBlob({ type: opts.type, quality: opts.quality })
+            : new Promise(resolve => c.toBlob(resolve, opts.type, opts.quality));
+    }
+
+    function imageWorkerMain() {
+        self.onmessage = async (e) => {
+            const { id, source, opts } = e.data;
+            try {
+                self.postMessage({ id, blob: await renderCardImage(source, opts) });
+            } catch (err) {
+                self.postMessage({ id, error: err.message || String(err) });
+            }
+        };
+    }
+
+    let imageWorker;                // undefined until first use, null if unavailable
+    let imageTaskId = 0;
+    const imageTasks = new Map();   // Map<task id → { source, opts, resolve, reject }>
+
+    function getImageWorker() {
+        if (imageWorker !== undefined) return imageWorker;
+
+        // Without OffscreenCanvas a worker has nothing to draw on
+        imageWorker = (typeof OffscreenCanvas !== 'undefined')
+            ? createWorker(renderCardImage, `(${imageWorkerMain})();`)
+            : null;
+        if (!imageWorker) return null;
+
+        imageWorker.onmessage = (e) => {
+            const task = imageTasks.get(e.data.id);
+            imageTasks.delete(e.data.id);
+            if (e.data.error) task.reject(new Error(e.data.error));
+            else task.resolve(e.data.blob);
+        };
+        // A worker that fails to start (e.g. blocked by CSP) hands its
+        // queue back to the main thread
+        imageWorker.onerror = (e) => {
+            e.preventDefault();
+            console.warn('Image worker failed, using the main thread:', e.message);
+            imageWorker.terminate();
+            imageWorker = null;
+            for (const task of imageTasks.values()) {
+                renderCardImage(task.source, task.opts).then(task.resolve, task.reject);
+            }
+            imageTasks.clear();
+        };
+        return imageWorker;
+    }
+
+    // renderCardImage in the image worker; resolves to a data URL (or null,
+    // see opts.onlyIfScaled)
+    async function processImage(source, opts) {
+        const worker = getImageWorker();
+        const blob = worker
+            ? await new Promise((resolve, reject) => {
+                const id = ++imageTaskId;
+                imageTasks.set(id, { source, opts, resolve, reject });
+                worker.postMessage({ id, source, opts });
+            })
+            : await renderCardImage(source, opts);
+        return blob && readFileAsDataURL(blob);
+    }
+
+    // ── PDF Assembly ───────────────────────────────────────
+    // Builds the PDF a page at a time. Pages are { format, images, cuts }
+    // with format { orientation, pageW, pageH }, images [{ alias, data,
+    // format, x, y, w, h }] — data and format only on an alias's first use —
+    // and cuts as from getPdfCuts, or null.
+    function createPdfBuilder(jsPDF) {
+        let doc = null;
+        // jsPDF wants the data again even when reusing an alias (it only
+        // embeds it once)
+        const images = new Map();
+
+        return {
+            addPage(page) {
+                const { orientation, pageW, pageH } = page.format;
+                if (doc) {
+                    doc.addPage([pageW, pageH], orientation);
+                } else {
+                    doc = new jsPDF({ orientation, unit: 'mm', format: [pageW, pageH] });
+                }
+
+                for (const img of page.images) {
+                    if (img.data) images.set(img.alias, { data: img.data, format: img.format });
+                    const { data, format } = images.get(img.alias);
+                    // PNGs need an explicit compression level or jsPDF stores raw pixels
+                    doc.addImage(data, format, img.x, img.y, img.w, img.h, img.alias,
+                        format === 'PNG' ? 'MEDIUM' : undefined);
+                }
+
+                if (page.cuts) {
+                    doc.setDrawColor(...page.cuts.rgb);
+                    doc.setLineWidth(page.cuts.width);
+                    doc.setLineDashPattern(page.cuts.dashed ? [2, 2] : [], 0);
+                    for (const [x1, y1, x2, y2] of page.cuts.segments) {
+                        doc.line(x1, y1, x2, y2);
+                    }
+                    doc.setLineDashPattern([], 0);
+                }
+            },
+            finish() {
+                return doc.output('blob');
+            },
+        };
+    }
+
+    function pdfWorkerMain() {
+        let builder = null;
+        self.onmessage = (e) => {
+            const msg = e.data;
+            try {
+                if (msg.type === 'start') {
+                    importScripts(msg.jsPdfUrl);
+                    builder = createPdfBuilder(self.jspdf.jsPDF);
+                    self.postMessage({ type: 'ok' });
+                } else if (msg.type === 'page') {
+                    builder.addPage(msg.page);
+                    self.postMessage({ type: 'ok' });
+                } else if (msg.type === 'finish') {
+                    self.postMessage({ type: 'ok', blob: builder.finish() });
+                }
+            } catch (err) {
+                self.postMessage({ type: 'error', message: err.message || String(err) });
+            }
+        };
+    }
+
+    // { addPage(page), finish() → Blob, close() } over a PDF worker, or over
+    // a builder on the main thread if the worker can't load jsPDF. Aborting
+    // signal cancels; close() releases the worker and must always be called.
+    async function openPdfBuilder(signal) {
+        const cancelledError = () => new DOMException('PDF cancelled', 'AbortError');
+        if (signal.aborted) throw cancelledError();
+
+        const worker = createWorker(createPdfBuilder, `(${pdfWorkerMain})();`);
+        if (worker) {
+            let pending = null;   // { resolve, reject } of the message in flight
+            const settle = (outcome, value) => {
+                const p = pending;
+                pending = null;
+                if (p) p[outcome](value);
+            };
+            worker.onmessage = (e) => {
+                if (e.data.type === 'error') settle('reject', new Error(e.data.message));
+                else settle('resolve', e.data.blob);
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                settle('reject', new Error(e.message || 'PDF worker failed'));
+            };
+            const cancel = () => {
+                worker.terminate();
+                settle('reject', cancelledError());
+            };
+            signal.addEventListener('abort', cancel);
+            const close = () => {
+                signal.removeEventListener('abort', cancel);
+                worker.terminate();
+            };
+            const send = (msg) => {
+                if (signal.aborted) return Promise.reject(cancelledError());
+                return new Promise((resolve, reject) => {
+                    pending = { resolve, reject };
+                    worker.postMessage(msg);
+                });
+            };
+
+            try {
+                await send({ type: 'start', jsPdfUrl: JSPDF_URL });
+                return {
+                    addPage: page => send({ type: 'page', page }),
+                    finish: () => send({ type: 'finish' }),
+                    close,
+                };
+            } catch (err) {
+                close();
+                if (signal.aborted) throw err;
+                console.warn('PDF worker unavailable, using the main thread:', err.message);
+            }
+        }
+
+        const builder = createPdfBuilder(window.jspdf.jsPDF);
+        const check = () => {
+            if (signal.aborted) throw cancelledError();
+        };
+        return {
+            addPage: async (page) => {
+                check();
+                builder.addPage(page);
+                await sleep(0);   // let the progress bar and Cancel button update
+            },
+            finish: async () => {
+                check();
+                return builder.finish();
+            },
+            close() {},
+        };
+    }
+
+    // ================================================================
+    //  Printer Calibration
+    // ================================================================
+    // Scale and offset corrections belong to the printer, not the deck, so
+    // they're kept per named printer profile instead of in projects.
+    // Profiles map name → { printScaleX, printScaleY, printOffsetX, printOffsetY }.
+
+    function getPrinterProfiles() {
+        try {
+            return JSON.parse(storageGet(STORAGE_KEYS.printers)) || {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    function putPrinterProfiles(profiles) {
+        if (!storageSet(STORAGE_KEYS.printers, JSON.stringify(profiles))) {
+            showError('Could not save printer profile — browser storage is full or unavailable.');
+        }
+    }
+
+    function currentPrinter() {
+        const name = storageGet(STORAGE_KEYS.printer);
+        return (name && getPrinterProfiles()[name]) ? name : DEFAULT_PRINTER;
+    }
+
+    function renderPrinterProfiles() {
+        const names = Object.keys(getPrinterProfiles())
+            .filter(name => name !== DEFAULT_PRINTER)
+            .sort((a, b) => a.localeCompare(b));
+        dom.printerProfile.innerHTML = [DEFAULT_PRINTER, ...names]
+            .map(name => `<option value="${esc(name)}">${esc(name)}</option>`)
+            .join('');
+        dom.printerProfile.value = currentPrinter();
+        dom.btnPrinterDelete.disabled = (dom.printerProfile.value === DEFAULT_PRINTER);
+    }
+
+    // Load the current profile's values into the controls
+    function applyPrinterProfile() {
+        const profile = getPrinterProfiles()[currentPrinter()] || {};
+        for (const [id, value] of Object.entries(CALIBRATION_DEFAULTS)) {
+            dom[id].value = (profile[id] !== undefined) ? profile[id] : value;
+        }
+        onSettingsChange();
+    }
+
+    function savePrinterProfile(name = currentPrinter()) {
+        const profiles = getPrinterProfiles();
+        const values = {};
+        for (const id of Object.keys(CALIBRATION_DEFAULTS)) values[id] = dom[id].value;
+        profiles[name] = values;
+        putPrinterProfiles(profiles);
+    }
+
+    function onCalibrationChange() {
+        savePrinterProfile();
+        onSettingsChange();
+    }
+
+    function switchPrinterProfile() {
+        storageSet(STORAGE_KEYS.printer, dom.printerProfile.value);
+        renderPrinterProfiles();
+        applyPrinterProfile();
+    }
+
+    // A new profile starts from the current values
+    function addPrinterProfile() {
+        const name = (prompt('Printer name') || '').trim();
+        if (!name) return;
+        if (getPrinterProfiles()[name] && !confirm(`Replace the saved profile "${name}"?`)) return;
+
+        savePrinterProfile(name);
+        storageSet(STORAGE_KEYS.printer, name);
+        renderPrinterProfiles();
+    }
+
+    function deletePrinterProfile() {
+        const name = currentPrinter();
+        if (name === DEFAULT_PRINTER || !confirm(`Delete printer profile "${name}"?`)) return;
+
+        const profiles = getPrinterProfiles();
+        delete profiles[name];
+        putPrinterProfiles(profiles);
+        storageRemove(STORAGE_KEYS.printer);
+        renderPrinterProfiles();
+        applyPrinterProfile();
+    }
+
+    // One portrait page with mm rulers along the top and left, a test
+    // rectangle of known size and a centre cross, all drawn with the current
+    // correction applied so a good calibration measures exactly.
+    function printCalibrationSheet() {
+        const settings = getSettings();
+        const paper = getLayout(settings);
+        const pageW = Math.min(paper.pageW, paper.pageH);
+        const pageH = Math.max(paper.pageW, paper.pageH);
+        const layout = { ...paper, pageW, pageH };
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({ orientation: 'p', unit: 'mm', format: [pageW, pageH] });
+        const line = (x1, y1, x2, y2) => {
+            doc.line(...calibratePoint(layout, x1, y1), ...calibratePoint(layout, x2, y2));
+        };
+        const label = (text, x, y) => {
+            const [px, py] = calibratePoint(layout, x, y);
+            doc.text(text, px, py, { align: 'center', baseline: 'middle' });
+        };
+
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.15);
+        doc.setFontSize(7);
+
+        // Rulers: a tick every mm, longer every 5 mm, numbered in cm
+        const origin = 10;
+        const tick = (i) => (i % 10 === 0 ? 5 : i % 5 === 0 ? 3.5 : 2);
+        for (let i = 0; i <= pageW - 2 * origin; i++) {
+            line(origin + i, origin, origin + i, origin + tick(i));
+            if (i && i % 10 === 0) label(String(i / 10), origin + i, origin + 8);
+        }
+        for (let i = 0; i <= pageH - 2 * origin; i++) {
+            line(origin, origin + i, origin + tick(i), origin + i);
+            if (i && i % 10 === 0) label(String(i / 10), origin + 8, origin + i);
+        }
+
+        // Test rectangle, centred, as large as fits up to 150 × 100 mm
+        const rectW = Math.min(150, Math.floor((pageW - 40) / 10) * 10);
+        const rectH = Math.min(100, Math.floor((pageH - 80) / 10) * 10);
+        const rx = (pageW - rectW) / 2;
+        const ry = (pageH - rectH) / 2;
+        line(rx, ry, rx + rectW, ry);
+        line(rx + rectW, ry, rx + rectW, ry + rectH);
+        line(rx + rectW, ry + rectH, rx, ry + rectH);
+        line(rx, ry + rectH, rx, ry);
+
+        // Centre cross
+        line(pageW / 2 - 5, pageH / 2, pageW / 2 + 5, pageH / 2);
+        line(pageW / 2, pageH / 2 - 5, pageW / 2, pageH / 2 + 5);
+
+        doc.setFontSize(9);
+        const pct = v => `${(v * 100).toFixed(1)}%`;
+        const notes = [
+            'Print at 100% ("Actual size") with any fit-to-page option turned off.',
+            `The rectangle should measure ${rectW} × ${rectH} mm. The centre cross should sit ` +
+                `${pageW / 2} mm from the left edge and ${pageH / 2} mm from the top.`,
+            'New scale = current scale × expected ÷ measured. New offset = current offset + expected − measured.',
+            `Printer "${currentPrinter()}": scale ${pct(layout.scaleX)} × ${pct(layout.scaleY)}, ` +
+                `offset ${layout.offsetX} / ${layout.offsetY} mm.`,
+        ];
+        doc.text(doc.splitTextToSize(notes.join('\n'), rectW), pageW / 2, ry + rectH + 12, { align: 'center' });
+
+        doc.save('calibration.pdf');
     }
 
     // ================================================================
@@ -781,41 +3844,191 @@
         addError(msg);
     }
 
-    function sleep(ms) {
-        return new Promise(r => setTimeout(r, ms));
+    // Resolves early if signal aborts
+    function sleep(ms, signal = null) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            if (signal) signal.addEventListener('abort', done);
+        });
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async function transformBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function bytesToBase64Url(bytes) {
+        let bin = '';
+        for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+        return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(str) {
+        const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(bin, c => c.charCodeAt(0));
+    }
+
+    // Briefly swap a button's label as confirmation
+    function flashButton(btn, text) {
+        const label = btn.dataset.label || btn.textContent;
+        btn.dataset.label = label;
+        btn.textContent = text;
+        setTimeout(() => { btn.textContent = label; }, 1500);
+    }
+
+    function readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload  = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name || 'image'}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // localStorage can throw (quota, private mode) — treat that as "not saved"
+    function storageGet(key) {
+        try { return localStorage.getItem(key); } catch (_) { return null; }
+    }
+
+    function storageSet(key, value) {
+        try { localStorage.setItem(key, value); return true; } catch (_) { return false; }
+    }
+
+    function storageRemove(key) {
+        try { localStorage.removeItem(key); } catch (_) {}
     }
 
     function clearAll() {
-        allImages = [];
+        // Clearing starts a fresh unsaved list rather than emptying the project
+        saveCurrentProject();
+        setCurrentProject(null);
+        printCards = [];
+        downloadJobs = new Map();
+        imageStore.clear();
+        bleedCache.images.clear();
+        exportCache.images.clear();
         cardSlots = [];
         pageCount = 0;
         openPopoverIdx = -1;
+        dismissRelatedCards();
         dom.cardList.value = '';
         clearErrors();
+        updatePdfSizeInfo();
         dom.btnDownload.disabled = true;
         dom.btnGenerate.disabled = false;
         showView('empty');
     }
 
+    function updateLayoutInfo() {
+        const settings = getSettings();
+        dom.customPageRow.style.display = (settings.paperSize === 'custom') ? '' : 'none';
+        dom.customCardRow.style.display = (settings.cardSize === 'custom') ? '' : 'none';
+
+        dom.singleBacksRow.style.display  = settings.duplex ? '' : 'none';
+        dom.dfcBacksRow.style.display     = settings.duplex ? '' : 'none';
+        dom.duplexOffsetRow.style.display = settings.duplex ? '' : 'none';
+        dom.cardBackSection.style.display = needsCardBack(settings) ? '' : 'none';
+
+        const layout = getLayout(settings);
+        dom.layoutInfo.textContent = layout.perPage
+            ? `${layout.cols} × ${layout.rows} cards per page · ${layout.orientation === 'l' ? 'landscape' : 'portrait'}`
+            : 'Cards do not fit on this page — reduce the margin or use a larger sheet.';
+    }
+
     function onSettingsChange() {
-        if (currentView === 'preview' && allImages.length) renderPreview();
+        updateLayoutInfo();
+        updatePdfSizeInfo();
+        scheduleProjectSave();
+        if (currentView === 'preview' && printCards.length) renderPreview();
+        else if (currentView === 'cards') renderCardListStats();
     }
 
     // ── Init ───────────────────────────────────────────────
     function init() {
         dom = {
+            projectSelect:      $('#projectSelect'),
+            btnProjectSave:     $('#btnProjectSave'),
+            btnProjectDelete:   $('#btnProjectDelete'),
+            btnProjectExport:   $('#btnProjectExport'),
+            projectFile:        $('#projectFile'),
+            projectInfo:        $('#projectInfo'),
             cardList:           $('#cardList'),
+            autocomplete:       $('#autocomplete'),
+            btnAddCustom:       $('#btnAddCustom'),
+            customCardForm:     $('#customCardForm'),
+            customName:         $('#customName'),
+            customQty:          $('#customQty'),
+            customFront:        $('#customFront'),
+            customBack:         $('#customBack'),
+            btnCustomAdd:       $('#btnCustomAdd'),
+            btnCustomCancel:    $('#btnCustomCancel'),
             btnLoadCards:       $('#btnLoadCards'),
             btnGenerate:        $('#btnGenerate'),
             btnDownload:        $('#btnDownload'),
             btnClear:           $('#btnClear'),
             btnBackToCards:     $('#btnBackToCards'),
+            btnCancel:          $('#btnCancel'),
+            btnRetryFailed:     $('#btnRetryFailed'),
             cutLineMode:        $('#cutLineMode'),
             cutColour:          $('#cutColour'),
             cutWidth:           $('#cutWidth'),
             cutWidthValue:      $('#cutWidthValue'),
             cutStyle:           $('#cutStyle'),
             imageQuality:       $('#imageQuality'),
+            paperSize:          $('#paperSize'),
+            customPageRow:      $('#customPageRow'),
+            customPageW:        $('#customPageW'),
+            customPageH:        $('#customPageH'),
+            cardSize:           $('#cardSize'),
+            customCardRow:      $('#customCardRow'),
+            customCardW:        $('#customCardW'),
+            customCardH:        $('#customCardH'),
+            pageMargin:         $('#pageMargin'),
+            layoutInfo:         $('#layoutInfo'),
+            gutter:             $('#gutter'),
+            bleed:              $('#bleed'),
+            bleedMode:          $('#bleedMode'),
+            duplex:             $('#duplex'),
+            singleBacksRow:     $('#singleBacksRow'),
+            singleBacks:        $('#singleBacks'),
+            dfcBacksRow:        $('#dfcBacksRow'),
+            dfcBacks:           $('#dfcBacks'),
+            cardBackSection:    $('#cardBackSection'),
+            cardBackSource:     $('#cardBackSource'),
+            cardBackFile:       $('#cardBackFile'),
+            btnRemoveCardBack:  $('#btnRemoveCardBack'),
+            cardBackInfo:       $('#cardBackInfo'),
+            duplexOffsetRow:    $('#duplexOffsetRow'),
+            duplexOffsetX:      $('#duplexOffsetX'),
+            duplexOffsetY:      $('#duplexOffsetY'),
+            printerProfile:     $('#printerProfile'),
+            btnPrinterAdd:      $('#btnPrinterAdd'),
+            btnPrinterDelete:   $('#btnPrinterDelete'),
+            btnCalibrationSheet: $('#btnCalibrationSheet'),
+            printScaleX:        $('#printScaleX'),
+            printScaleY:        $('#printScaleY'),
+            printOffsetX:       $('#printOffsetX'),
+            printOffsetY:       $('#printOffsetY'),
+            pdfFormat:          $('#pdfFormat'),
+            pdfJpegQualityRow:  $('#pdfJpegQualityRow'),
+            pdfJpegQuality:     $('#pdfJpegQuality'),
+            pdfJpegQualityValue: $('#pdfJpegQualityValue'),
+            pdfDpi:             $('#pdfDpi'),
+            pdfSizeInfo:        $('#pdfSizeInfo'),
             progressContainer:  $('#progressContainer'),
             progressFill:       $('#progressFill'),
             progressText:       $('#progressText'),
@@ -826,17 +4039,89 @@
             pageContainer:      $('#pageContainer'),
             emptyState:         $('#emptyState'),
             dbStatus:           $('#dbStatus'),
+            whatsNewPanel:      $('#whatsNewPanel'),
+            whatsNewSince:      $('#whatsNewSince'),
+            whatsNewView:       $('#whatsNewView'),
+            btnWhatsNewClose:   $('#btnWhatsNewClose'),
             cardListPanel:      $('#cardListPanel'),
             cardListView:       $('#cardListView'),
             cardListStats:      $('#cardListStats'),
+            btnExportList:      $('#btnExportList'),
+            bulkRule:           $('#bulkRule'),
+            btnBulkApply:       $('#btnBulkApply'),
+            prefOrder:          $('#prefOrder'),
+            prefFrame:          $('#prefFrame'),
+            prefPromos:         $('#prefPromos'),
+            prefLang:           $('#prefLang'),
+            prefSets:           $('#prefSets'),
+            btnSuggestRelated:  $('#btnSuggestRelated'),
+            relatedPanel:       $('#relatedPanel'),
+            relatedView:        $('#relatedView'),
+            btnRelatedAdd:      $('#btnRelatedAdd'),
+            btnRelatedDismiss:  $('#btnRelatedDismiss'),
+            btnShareLink:       $('#btnShareLink'),
+            cacheLimit:         $('#cacheLimit'),
+            btnClearCache:      $('#btnClearCache'),
+            cacheInfo:          $('#cacheInfo'),
             previewPanel:       $('#previewPanel'),
         };
 
+        // Card name autocomplete
+        dom.cardList.addEventListener('input', updateAutocomplete);
+        dom.cardList.addEventListener('keydown', onAutocompleteKey);
+        dom.cardList.addEventListener('blur', closeAutocomplete);
+
+        // Deck file drop onto the card list
+        dom.cardList.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dom.cardList.classList.add('drag-over');
+        });
+        dom.cardList.addEventListener('dragleave', () => dom.cardList.classList.remove('drag-over'));
+        dom.cardList.addEventListener('drop', onCardListDrop);
+
+        // Custom art: image files dropped on a card row, or whole custom cards
+        dom.cardListView.addEventListener('dragover', (e) => {
+            const row = e.target.closest('.cl-row');
+            if (!row || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            row.classList.add('drag-over');
+        });
+        dom.cardListView.addEventListener('dragleave', (e) => {
+            const row = e.target.closest('.cl-row');
+            if (row && !row.contains(e.relatedTarget)) row.classList.remove('drag-over');
+        });
+        dom.cardListView.addEventListener('drop', onRowImageDrop);
+        dom.btnAddCustom.addEventListener('click', () => toggleCustomCardForm(dom.customCardForm.hidden));
+        dom.btnCustomAdd.addEventListener('click', addCustomCard);
+        dom.btnCustomCancel.addEventListener('click', () => toggleCustomCardForm(false));
+
         // Buttons
-        dom.btnLoadCards.addEventListener('click', loadCards);
+        dom.btnLoadCards.addEventListener('click', () => loadCards());
         dom.btnGenerate.addEventListener('click', generatePreview);
+        dom.btnCancel.addEventListener('click', () => {
+            cancelDownloads();
+            cancelPdf();
+        });
+        dom.btnRetryFailed.addEventListener('click', retryFailedDownloads);
         dom.btnDownload.addEventListener('click', generatePDF);
         dom.btnClear.addEventListener('click', clearAll);
+        dom.btnExportList.addEventListener('click', exportCardList);
+        dom.btnWhatsNewClose.addEventListener('click', () => { dom.whatsNewPanel.hidden = true; });
+        dom.btnBulkApply.addEventListener('click', applyBulkRule);
+        dom.btnSuggestRelated.addEventListener('click', suggestRelatedCards);
+        dom.btnRelatedAdd.addEventListener('click', addRelatedCards);
+        dom.btnRelatedDismiss.addEventListener('click', dismissRelatedCards);
+        dom.btnShareLink.addEventListener('click', copyShareLink);
+
+        // Projects
+        dom.projectSelect.addEventListener('change', switchProject);
+        dom.btnProjectSave.addEventListener('click', saveProjectAs);
+        dom.btnProjectDelete.addEventListener('click', deleteProject);
+        dom.btnProjectExport.addEventListener('click', exportProject);
+        dom.projectFile.addEventListener('change', importProject);
+        dom.cardList.addEventListener('input', scheduleProjectSave);
+        window.addEventListener('beforeunload', saveCurrentProject);
+        renderProjectSwitcher();
         dom.btnBackToCards.addEventListener('click', () => {
             showView('cards');
             renderCardList();
@@ -848,17 +4133,91 @@
             onSettingsChange();
         });
 
+        // Source quality: new downloads use it, and it drives the PDF size
+        // estimate and is saved with the project
+        dom.imageQuality.addEventListener('change', onSettingsChange);
+
         // Live preview update for settings
         ['cutLineMode', 'cutColour', 'cutStyle'].forEach(id => {
             dom[id].addEventListener('change', onSettingsChange);
         });
         dom.cutColour.addEventListener('input', onSettingsChange);
 
+        // Page setup — re-fit the grid as values are typed
+        dom.paperSize.addEventListener('change', onSettingsChange);
+        ['customPageW', 'customPageH', 'pageMargin'].forEach(id => {
+            dom[id].addEventListener('input', onSettingsChange);
+        });
+        // Bleed and card shape re-render every image, so only react once the
+        // value is committed
+        ['cardSize', 'customCardW', 'customCardH', 'gutter', 'bleed', 'bleedMode'].forEach(id => {
+            dom[id].addEventListener('change', onSettingsChange);
+        });
+
+        // Duplex
+        ['duplex', 'singleBacks', 'dfcBacks', 'cardBackSource', 'duplexOffsetX', 'duplexOffsetY'].forEach(id => {
+            dom[id].addEventListener('change', onSettingsChange);
+        });
+
+        // Printer calibration (per printer profile)
+        dom.printerProfile.addEventListener('change', switchPrinterProfile);
+        dom.btnPrinterAdd.addEventListener('click', addPrinterProfile);
+        dom.btnPrinterDelete.addEventListener('click', deletePrinterProfile);
+        dom.btnCalibrationSheet.addEventListener('click', printCalibrationSheet);
+        Object.keys(CALIBRATION_DEFAULTS).forEach(id => {
+            dom[id].addEventListener('change', onCalibrationChange);
+        });
+        renderPrinterProfiles();
+        applyPrinterProfile();
+
+        // PDF export — only affects the download, so the preview is left alone
+        dom.pdfJpegQuality.addEventListener('input', () => {
+            dom.pdfJpegQualityValue.textContent = dom.pdfJpegQuality.value;
+            updatePdfSizeInfo();
+        });
+        ['pdfFormat', 'pdfJpegQuality', 'pdfDpi'].forEach(id => {
+            dom[id].addEventListener('change', () => {
+                updatePdfSizeInfo();
+                scheduleProjectSave();
+            });
+        });
+
+        // Card back upload (kept in localStorage between sessions)
+        dom.cardBackFile.addEventListener('change', onCardBackUpload);
+        dom.btnRemoveCardBack.addEventListener('click', removeCardBack);
+        if (storageGet(STORAGE_KEYS.cardBack)) dom.cardBackSource.value = 'custom';
+        updateCardBackInfo();
+        updateLayoutInfo();
+        updatePdfSizeInfo();
+
+        // Image cache
+        dom.cacheLimit.value = String(getCacheLimitBytes() / 1024 / 1024);
+        dom.cacheLimit.addEventListener('change', onCacheLimitChange);
+        dom.btnClearCache.addEventListener('click', clearImageCache);
+        updateCacheInfo();
+
+        // Printing preference
+        loadPrintingPrefs();
+        PREFERENCE_CONTROLS.forEach(id => dom[id].addEventListener('change', savePrintingPrefs));
+
+        // Offline support (service workers need http(s))
+        if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+            navigator.serviceWorker.register('sw.js').catch(err => {
+                console.warn('Service worker registration failed:', err);
+            });
+        }
+
         // Start with empty view
         showView('empty');
 
-        // Load the local card database
-        loadCardDB();
+        // Load the local card database, then open a shared link if there
+        // is one, otherwise reopen the last project
+        loadCardDB().then(() => (
+            location.hash.startsWith(SHARE_PREFIX) ? openShareLink() : restoreCurrentProject()
+        ));
+        window.addEventListener('hashchange', () => {
+            if (location.hash.startsWith(SHARE_PREFIX)) openShareLink();
+        });
     }
 
     document.addEventListener('DOMContentLoaded', init);
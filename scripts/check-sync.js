@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * check-sync.js
+ *
+ * Checks the streaming parts of sync-cards.js against a small bulk data
+ * fixture (scripts/fixtures/bulk-sample.json), without any network:
+ *   - the JSON array parser gives the same objects however the bytes are
+ *     split into chunks, including inside strings and multi-byte characters
+ *   - writeCardData turns a stream into cards.json + sets.json that decode
+ *     to the extracted entries, and lists no changes on a second run
+ *
+ * Usage:  node scripts/check-sync.js
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const sync = require('./sync-cards');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'bulk-sample.json');
+
+// The fixture's bytes as a stream of chunks of the given size
+function chunked(bytes, size) {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) chunks.push(bytes.subarray(i, i + size));
+    return Readable.from(chunks);
+}
+
+async function checkParser(bytes, expected) {
+    // Every size up to 64 bytes puts a boundary everywhere at least once
+    for (let size = 1; size <= 64; size++) {
+        const objects = [];
+        const count = await sync.parseJsonArrayStream(chunked(bytes, size), obj => {
+            objects.push(obj);
+        });
+        assert.equal(count, expected.length, `object count with ${size}-byte chunks`);
+        assert.deepEqual(objects, expected, `objects with ${size}-byte chunks`);
+    }
+
+    const parser = sync.createJsonArrayParser();
+    parser.write(bytes.subarray(0, bytes.indexOf('{') + 1));
+    assert.throws(() => parser.end(), /ended inside an object/);
+}
+
+async function checkWriteCardData(bytes, cards) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-sync-'));
+    const outputFile = path.join(dir, 'cards.json');
+    const setsFile = path.join(dir, 'sets.json');
+    const langs = new Set(['ja', 'de']);
+
+    try {
+        const sets = new Map();
+        const keepLang = lang => lang === 'en' || langs.has(lang);
+        const expected = cards.map(card => sync.extractCard(card, sets, keepLang)).filter(Boolean);
+
+        const first = await sync.writeCardData(chunked(bytes, 7), {
+            outputFile, setsFile, langs, compareWith: outputFile,
+        });
+        assert.equal(first.parsed, cards.length);
+        assert.equal(first.kept, expected.length);
+        assert.equal(first.format, 3, 'language columns mean format 3');
+        assert.equal(first.changes.compared, false);
+        assert.equal(first.changes.added, expected.length);
+
+        const written = fs.readFileSync(outputFile, 'utf8');
+        assert.equal(first.bytes, Buffer.byteLength(written));
+        // Streamed columns match encoding the entries in one go
+        assert.equal(written, JSON.stringify(sync.encodeCardData(expected)));
+        const byId = entries => new Map(entries.map(entry => [entry.id, JSON.stringify(entry)]));
+        assert.deepEqual(byId(sync.decodeCardData(JSON.parse(written))), byId(expected));
+        assert.deepEqual(JSON.parse(fs.readFileSync(setsFile, 'utf8')), Object.fromEntries([...sets].sort()));
+
+        // Skipped: no images, and a language without a real scan
+        const ids = new Set(expected.map(entry => entry.id));
+        assert.ok(!ids.has('0001a1b2-0000-4000-8000-000000000006'));
+        assert.ok(!ids.has('0001a1b2-0000-4000-8000-000000000008'));
+
+        const second = await sync.writeCardData(chunked(bytes, 4096), {
+            outputFile, setsFile, langs, compareWith: outputFile,
+        });
+        assert.equal(second.changes.compared, true);
+        assert.equal(second.changes.unchanged, expected.length);
+        assert.equal(fs.readFileSync(outputFile, 'utf8'), written);
+
+        // English only leaves the language columns out
+        const english = await sync.writeCardData(chunked(bytes, 4096), { outputFile, setsFile });
+        assert.equal(english.format, 2);
+        assert.ok(!('l' in JSON.parse(fs.readFileSync(outputFile, 'utf8')).rows));
+
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['cards.json', 'sets.json'], 'no scratch files left');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    const bytes = fs.readFileSync(FIXTURE);
+    const cards = JSON.parse(bytes.toString('utf8'));
+
+    await checkParser(bytes, cards);
+    console.log('ok  parser across chunk boundaries');
+    await checkWriteCardData(bytes, cards);
+    console.log('ok  writeCardData end to end');
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
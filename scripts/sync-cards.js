@@ -3,35 +3,116 @@
 /**
  * sync-cards.js
  *
- * Downloads the Scryfall "unique_artwork" bulk data, strips each card down
- * to the minimal fields needed by the MTG Proxy Builder, and writes a
- * compact JSON file to data/cards.json.
+ * Downloads Scryfall bulk data ("unique_artwork" unless told otherwise),
+ * strips each card down to the minimal fields needed by the MTG Proxy
+ * Builder, and writes a compact JSON file to data/cards.json.
  *
- * Output format (one entry per unique artwork):
- *   { n, id, s, cn, o, d }
+ * Only English printings are kept unless --langs asks for others. Those
+ * come from the "all_cards" bulk file, the only one that has them, and
+ * share set and collector number with the English printing they localise.
+ *
+ * Entry fields (one entry per printing in the bulk file):
+ *   { n, id, s, cn, o, d, t, f, b, x, e, a, r, l, fn }
  *   n  = card name (string)
  *   id = scryfall card id (string, used to reconstruct image URLs)
  *   s  = set code (string)
  *   cn = collector number (string)
  *   o  = oracle_id (string, used to find variant printings)
  *   d  = 1 if double-faced (images on card_faces), omitted otherwise
+ *   r  = related cards it needs, as [kind, id, name] with kind "t" (token),
+ *        "e" (emblem) or "m" (meld partner); omitted when there are none
+ *   t  = release date (YYYY-MM-DD), omitted when it's the set's date
+ *   f  = frame ("1993", "1997", "2003", "future"), omitted for "2015"
+ *   b  = border colour, omitted for black
+ *   x  = flags: "f" full art, "p" promo, "t" textless; omitted if none
+ *   e  = frame effects: "s" showcase, "x" extended art, "e" etched,
+ *        "i" inverted; omitted if none
+ *   a  = artist
+ *   l  = language code ("ja", "de", …), omitted for English
+ *   fn = printed (foreign) name, faces joined with " // "; omitted when
+ *        it's the same as n, which is always the English name
+ *
+ * cards.json stores the entries column-wise (format 2, or 3 when it has
+ * non-English printings; also recorded as `format` in meta.json so the
+ * app can refuse formats it doesn't know):
+ *   { format, count, names, sets, oracles, artists, rows }
+ *   names   = [[name, count]] sorted by lower-case name; each name covers
+ *             the next `count` rows, so the name index comes prebuilt
+ *   sets, oracles, artists = interned strings, referenced by index
+ *   rows    = { id, cn, s, o, a, d, t, f, b, x, e, r, l, fn } column
+ *             arrays, where s / o / a are indexes (-1 for none), d is a
+ *             string with one "0" or "1" per row, and omitted
+ *             t / f / b / x / e / l / fn are "" and r 0; e is missing from
+ *             files written before it was added
+ * Format 3 adds the l / fn columns, which format 2 (all English, and
+ * readable by older pages) leaves out.
+ * Printings of the same name keep their bulk file order.
+ *
+ * Set names and release dates are written once per set to data/sets.json
+ * as { code: [name, date] } instead of onto every card.
+ *
+ * Each sync is compared against the previous cards.json and the printings
+ * added, removed and modified are listed by set in data/changes.json:
+ *   { updated, previous, added, removed, modified,
+ *     sets: { code: { added?, removed?, modified? } } }
+ * with counts at the top and [id, name, cn] lists per set (the lists are
+ * left empty on a first sync). When nothing changed the data files are
+ * left as they are.
  *
  * Image URLs are reconstructed client-side:
  *   https://cards.scryfall.io/{quality}/{face}/{id[0]}/{id[1]}/{id}.{ext}
  *
- * Usage:  node scripts/sync-cards.js
+ * The bulk file is parsed straight off the response stream and the entries
+ * written to a scratch file as it goes, then sorted into columns through
+ * more scratch files, so memory use doesn't grow with the input or with
+ * the number of printings kept.
+ *
+ * Usage:  node scripts/sync-cards.js [options]
+ *   --input <file>     read a local bulk file (.json or .json.gz) instead
+ *                      of downloading one
+ *   --manifest <url>   bulk data manifest to use (default: Scryfall's)
+ *   --type <type>      unique_artwork (default), default_cards or all_cards
+ *   --langs <codes>    also keep printings in these languages, e.g. "ja,de",
+ *                      or "all"; downloads all_cards for them unless that's
+ *                      the --type already, or --input is given
+ *   --lang-input <file>  read the non-English printings from a local bulk
+ *                      file instead
+ *   --out <dir>        output directory (default: data/)
+ *   --dry-run          report what would change without writing anything
+ *
+ * The parsing and writing steps are exported for testing against a local
+ * fixture (any readable stream) or a local HTTP server; scripts/check-sync.js
+ * runs them over scripts/fixtures/bulk-sample.json.
  */
 
 const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const zlib = require('zlib');
+const { once } = require('events');
+const { parseArgs } = require('util');
 
 const BULK_DATA_URL = 'https://api.scryfall.com/bulk-data';
+const BULK_TYPES = ['unique_artwork', 'default_cards', 'all_cards'];
+const CARD_FORMAT = 2;
+const LANG_CARD_FORMAT = 3;    // CARD_FORMAT plus the language columns
+const CARD_FORMATS = [CARD_FORMAT, LANG_CARD_FORMAT];   // read back; format 1 is a plain array
+const LANGS_BULK_TYPE = 'all_cards';
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const OUTPUT_FILE = path.join(DATA_DIR, 'cards.json');
-const META_FILE = path.join(DATA_DIR, 'meta.json');
+const SETS_FILE = path.join(DATA_DIR, 'sets.json');
+
+// ── Values left out of each entry as the common case ──
+const DEFAULT_FRAME = '2015';
+const DEFAULT_BORDER = 'black';
+
+// ── frame_effects kept, as their letter in e ──
+const FRAME_EFFECTS = { showcase: 's', extendedart: 'x', etched: 'e', inverted: 'i' };
+
+// ── Scans Scryfall stands in for, left out so the app falls back to English ──
+const MISSING_IMAGE = new Set(['missing', 'placeholder']);
 
 // ── Layouts where image_uris live on card_faces instead of root ──
 const DFC_LAYOUTS = new Set([
@@ -42,8 +123,20 @@ const DFC_LAYOUTS = new Set([
     'double_faced_token',
 ]);
 
-// ── HTTP helper (follows redirects, supports https and http) ──
-function httpGet(url, options = {}) {
+// ── all_parts components kept as related cards ──
+// combo_piece (cards that merely mention each other) and meld_result (the
+// back of the melded pair, already printed on the partners) are left out.
+function relatedKind(part) {
+    if (part.component === 'token') {
+        return /^Emblem\b/.test(part.type_line || '') ? 'e' : 't';
+    }
+    if (part.component === 'meld_part') return 'm';
+    return null;
+}
+
+// ── HTTP helpers (follow redirects, support https and http) ──
+// Resolves with the (decompressed) response body as a readable stream
+function httpGetStream(url, options = {}) {
     return new Promise((resolve, reject) => {
         const mod = url.startsWith('https') ? https : http;
         const req = mod.get(url, {
@@ -56,7 +149,8 @@ function httpGet(url, options = {}) {
         }, (res) => {
             // Follow redirects
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                return resolve(httpGet(res.headers.location, options));
+                res.resume();
+                return resolve(httpGetStream(new URL(res.headers.location, url).href, options));
             }
             if (res.statusCode !== 200) {
                 res.resume();
@@ -71,72 +165,170 @@ function httpGet(url, options = {}) {
             } else if (encoding === 'deflate') {
                 stream = res.pipe(zlib.createInflate());
             }
+            // pipe() doesn't forward errors from the response itself
+            if (stream !== res) res.on('error', err => stream.destroy(err));
 
-            const chunks = [];
-            stream.on('data', (chunk) => chunks.push(chunk));
-            stream.on('end', () => resolve(Buffer.concat(chunks)));
-            stream.on('error', reject);
+            resolve(stream);
         });
         req.on('error', reject);
     });
 }
 
-// ── Stream-parse large JSON array without loading it all into memory ──
-// The bulk data is a JSON array of objects. We use a simple streaming
-// approach: read chunks, find complete top-level objects via brace counting.
-function streamParseJsonArray(buffer, onObject) {
-    const text = buffer.toString('utf8');
+// Whole body as a Buffer, for small responses like the manifest
+async function httpGet(url, options = {}) {
+    const chunks = [];
+    for await (const chunk of await httpGetStream(url, options)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// ── Incremental JSON array parser ──
+// The bulk data is a JSON array of objects. Bytes are fed in as they
+// arrive and complete top-level objects are found by brace counting.
+// Structural characters are all ASCII and never occur inside a multi-byte
+// UTF-8 sequence, so scanning raw bytes is safe; each object is decoded
+// only once all of its bytes are in, however the chunks split it.
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+
+function createJsonArrayParser() {
     let depth = 0;
     let inString = false;
     let escape = false;
-    let objStart = -1;
-    let count = 0;
+    let pending = [];   // bytes of the object in progress from earlier chunks
+    let offset = 0;     // byte position of the current chunk in the input
+    let objOffset = -1;
 
-    for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
+    return {
+        // Returns the objects completed by this chunk
+        write(chunk) {
+            const objects = [];
+            let start = (depth > 0) ? 0 : -1;
 
-        if (escape) {
-            escape = false;
-            continue;
-        }
-
-        if (ch === '\\' && inString) {
-            escape = true;
-            continue;
-        }
+            for (let i = 0; i < chunk.length; i++) {
+                const b = chunk[i];
 
-        if (ch === '"') {
-            inString = !inString;
-            continue;
-        }
+                if (escape) {
+                    escape = false;
+                    continue;
+                }
+                if (inString) {
+                    if (b === BACKSLASH) escape = true;
+                    else if (b === QUOTE) inString = false;
+                    continue;
+                }
 
-        if (inString) continue;
-
-        if (ch === '{') {
-            if (depth === 0) objStart = i;
-            depth++;
-        } else if (ch === '}') {
-            depth--;
-            if (depth === 0 && objStart !== -1) {
-                const objStr = text.substring(objStart, i + 1);
-                try {
-                    const obj = JSON.parse(objStr);
-                    onObject(obj);
-                    count++;
-                } catch (e) {
-                    // Skip malformed objects
-                    console.warn(`  Warning: skipped malformed object at position ${objStart}`);
+                if (b === QUOTE) {
+                    inString = true;
+                } else if (b === OPEN_BRACE) {
+                    if (depth === 0) {
+                        start = i;
+                        objOffset = offset + i;
+                    }
+                    depth++;
+                } else if (b === CLOSE_BRACE && depth > 0) {
+                    depth--;
+                    if (depth === 0) {
+                        pending.push(chunk.subarray(start, i + 1));
+                        const text = Buffer.concat(pending).toString('utf8');
+                        pending = [];
+                        start = -1;
+                        try {
+                            objects.push(JSON.parse(text));
+                        } catch (e) {
+                            // Skip malformed objects
+                            console.warn(`  Warning: skipped malformed object at byte ${objOffset}`);
+                        }
+                    }
                 }
-                objStart = -1;
             }
+
+            // Copied, so the chunk itself can be released
+            if (start !== -1) pending.push(Buffer.from(chunk.subarray(start)));
+            offset += chunk.length;
+            return objects;
+        },
+        end() {
+            if (depth !== 0) throw new Error(`Input ended inside an object (at byte ${objOffset})`);
+        },
+    };
+}
+
+// Feeds a readable stream through the parser, awaiting onObject for each
+// object before reading on. Resolves with the number of objects parsed.
+async function parseJsonArrayStream(stream, onObject) {
+    const parser = createJsonArrayParser();
+    let count = 0;
+    for await (const chunk of stream) {
+        for (const obj of parser.write(chunk)) {
+            await onObject(obj);
+            count++;
         }
     }
-
+    parser.end();
     return count;
 }
 
+// ── File writers ──
+// Write as they go, waiting whenever the file stream's buffer is full, so
+// output doesn't pile up in memory either.
+function createTextWriter(file) {
+    const out = fs.createWriteStream(file);
+    let bytes = 0;
+
+    return {
+        async write(data) {
+            bytes += Buffer.byteLength(data);
+            if (!out.write(data)) await once(out, 'drain');
+        },
+        // Copies a whole file in
+        async append(file) {
+            for await (const chunk of fs.createReadStream(file)) await this.write(chunk);
+        },
+        async finish() {
+            out.end();
+            await once(out, 'finish');
+            return bytes;
+        },
+        abort() {
+            out.destroy();
+        },
+    };
+}
+
+// A JSON array, one element at a time
+function createArrayWriter(file) {
+    const writer = createTextWriter(file);
+    let count = 0;
+
+    return {
+        async add(value) {
+            await writer.write((count++ ? ',' : '[') + JSON.stringify(value));
+        },
+        async finish() {
+            await writer.write(count ? ']' : '[]');
+            return { count, bytes: await writer.finish() };
+        },
+        abort: writer.abort,
+    };
+}
+
+// Language filter for extractCard: codes is a Set, or "all"
+function langFilter(codes) {
+    return (codes === 'all') ? () => true : lang => codes.has(lang);
+}
+const ENGLISH_ONLY = langFilter(new Set(['en']));
+
 // ── Extract minimal card data ──
-function extractCard(card) {
+// sets collects { code → [name, date] }; a set's date is that of the first
+// of its cards seen, and cards released on another day keep their own.
+// keepLang decides which languages are kept (see langFilter).
+function extractCard(card, sets, keepLang = ENGLISH_ONLY) {
+    const lang = card.lang || 'en';
+    if (!keepLang(lang)) return null;
+    if (lang !== 'en' && MISSING_IMAGE.has(card.image_status)) return null;
+
     // Skip cards without any image data
     const isDFC = DFC_LAYOUTS.has(card.layout);
     const hasImages = isDFC
@@ -157,63 +349,598 @@ function extractCard(card) {
         entry.d = 1;
     }
 
+    if (!sets.has(card.set)) {
+        sets.set(card.set, [card.set_name, card.released_at]);
+    }
+    if (card.released_at !== sets.get(card.set)[1]) {
+        entry.t = card.released_at;
+    }
+    if (card.frame && card.frame !== DEFAULT_FRAME) {
+        entry.f = card.frame;
+    }
+    if (card.border_color && card.border_color !== DEFAULT_BORDER) {
+        entry.b = card.border_color;
+    }
+
+    const flags = (card.full_art ? 'f' : '') + (card.promo ? 'p' : '') + (card.textless ? 't' : '');
+    if (flags) {
+        entry.x = flags;
+    }
+
+    const effects = (card.frame_effects || []).map(effect => FRAME_EFFECTS[effect] || '').join('');
+    if (effects) {
+        entry.e = effects;
+    }
+
+    const artist = card.artist || (card.card_faces && card.card_faces[0].artist);
+    if (artist) {
+        entry.a = artist;
+    }
+
+    const related = (card.all_parts || [])
+        .filter(part => part.id !== card.id && part.name !== card.name)
+        .map(part => [relatedKind(part), part.id, part.name])
+        .filter(([kind]) => kind);
+    if (related.length) {
+        entry.r = related;
+    }
+
+    if (lang !== 'en') {
+        entry.l = lang;
+        const printed = card.printed_name ||
+            (card.card_faces && card.card_faces.map(f => f.printed_name || f.name).join(' // '));
+        if (printed && printed !== card.name) {
+            entry.fn = printed;
+        }
+    }
+
     return entry;
 }
 
-// ── Main ──
-async function main() {
-    console.log('Fetching bulk data manifest…');
-    const manifestBuf = await httpGet(BULK_DATA_URL);
+// ── Compact format (see header) ──
+const COLUMNS = ['id', 'cn', 's', 'o', 'a', 'd', 't', 'f', 'b', 'x', 'e', 'r', 'l', 'fn'];
+const LANG_COLUMNS = ['l', 'fn'];
+
+// Interned string lists for the sets, oracles and artists columns
+function createInterners() {
+    const intern = () => {
+        const list = [];
+        const index = new Map();
+        return {
+            list,
+            get(value) {
+                if (value === undefined) return -1;
+                if (!index.has(value)) {
+                    index.set(value, list.length);
+                    list.push(value);
+                }
+                return index.get(value);
+            },
+        };
+    };
+    return { sets: intern(), oracles: intern(), artists: intern() };
+}
+
+// An entry's value in each column
+function entryRow(entry, interned) {
+    return {
+        id: entry.id,
+        cn: entry.cn,
+        s:  interned.sets.get(entry.s),
+        o:  interned.oracles.get(entry.o),
+        a:  interned.artists.get(entry.a),
+        d:  entry.d ? '1' : '0',
+        t:  entry.t || '',
+        f:  entry.f || '',
+        b:  entry.b || '',
+        x:  entry.x || '',
+        e:  entry.e || '',
+        r:  entry.r || 0,
+        l:  entry.l || '',
+        fn: entry.fn || '',
+    };
+}
+
+function compareNames(a, b) {
+    const la = a.toLowerCase();
+    const lb = b.toLowerCase();
+    if (la !== lb) return la < lb ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Stable, so printings of a name keep their order
+const byName = (a, b) => compareNames(a.n, b.n);
+
+function encodeCardData(entries) {
+    const interned = createInterners();
+    const names = [];
+    const rows = Object.fromEntries(COLUMNS.map(column => [column, []]));
+    for (const entry of [...entries].sort(byName)) {
+        const last = names[names.length - 1];
+        if (last && last[0] === entry.n) last[1]++;
+        else names.push([entry.n, 1]);
+
+        const row = entryRow(entry, interned);
+        for (const column of COLUMNS) rows[column].push(row[column]);
+    }
+    rows.d = rows.d.join('');
+
+    const hasLangs = rows.l.some(Boolean);
+    if (!hasLangs) {
+        for (const column of LANG_COLUMNS) delete rows[column];
+    }
+
+    return {
+        format: hasLangs ? LANG_CARD_FORMAT : CARD_FORMAT,
+        count: entries.length,
+        names,
+        sets: interned.sets.list,
+        oracles: interned.oracles.list,
+        artists: interned.artists.list,
+        rows,
+    };
+}
+
+// ── Streaming encoder ──
+// Writes what JSON.stringify(encodeCardData(entries)) would, without ever
+// holding all the entries. The names and their counts (collected while
+// parsing) give the row order, so the entries are spread over scratch
+// files by range of names, and each range is sorted in memory and its rows
+// appended to one scratch file per column. The header and the columns are
+// then joined into outputFile. Memory grows only with the distinct names,
+// sets, oracles and artists.
+const ENCODE_CHUNK_ROWS = 20000;
+
+async function encodeCardFile(entriesFile, nameCounts, outputFile, scratchDir) {
+    const names = [...nameCounts.keys()].sort(compareNames).map(name => [name, nameCounts.get(name)]);
+
+    // Names → chunk, in runs of about ENCODE_CHUNK_ROWS rows
+    const chunkOf = new Map();
+    let chunks = 0;
+    let rowsInChunk = 0;
+    for (const [name, count] of names) {
+        if (!chunks || rowsInChunk >= ENCODE_CHUNK_ROWS) {
+            chunks++;
+            rowsInChunk = 0;
+        }
+        chunkOf.set(name, chunks - 1);
+        rowsInChunk += count;
+    }
+
+    const chunkFile = i => path.join(scratchDir, `chunk-${i}.json`);
+    const chunkWriters = Array.from({ length: chunks }, (_, i) => createArrayWriter(chunkFile(i)));
+    await parseJsonArrayStream(fs.createReadStream(entriesFile), entry =>
+        chunkWriters[chunkOf.get(entry.n)].add(entry));
+    for (const writer of chunkWriters) await writer.finish();
+
+    // d is a string of digits, the rest are arrays
+    const columnFile = column => path.join(scratchDir, `column-${column}.json`);
+    const columns = {};
+    for (const column of COLUMNS) {
+        if (column === 'd') {
+            const writer = createTextWriter(columnFile(column));
+            await writer.write('"');
+            columns.d = {
+                add: digit => writer.write(digit),
+                finish: async () => {
+                    await writer.write('"');
+                    return writer.finish();
+                },
+            };
+        } else {
+            columns[column] = createArrayWriter(columnFile(column));
+        }
+    }
+
+    const interned = createInterners();
+    let count = 0;
+    let hasLangs = false;
+    for (let i = 0; i < chunks; i++) {
+        const entries = [];
+        await parseJsonArrayStream(fs.createReadStream(chunkFile(i)), entry => {
+            entries.push(entry);
+        });
+        fs.rmSync(chunkFile(i));
+
+        for (const entry of entries.sort(byName)) {
+            const row = entryRow(entry, interned);
+            for (const column of COLUMNS) await columns[column].add(row[column]);
+            if (row.l) hasLangs = true;
+            count++;
+        }
+    }
+    for (const column of COLUMNS) await columns[column].finish();
+
+    const format = hasLangs ? LANG_CARD_FORMAT : CARD_FORMAT;
+    const out = createTextWriter(outputFile);
+    try {
+        await out.write(JSON.stringify({
+            format,
+            count,
+            names,
+            sets: interned.sets.list,
+            oracles: interned.oracles.list,
+            artists: interned.artists.list,
+        }).slice(0, -1) + ',"rows":{');
+        const written = COLUMNS.filter(column => hasLangs || !LANG_COLUMNS.includes(column));
+        for (const [i, column] of written.entries()) {
+            await out.write(`${i ? ',' : ''}${JSON.stringify(column)}:`);
+            await out.append(columnFile(column));
+        }
+        await out.write('}}');
+        return { count, bytes: await out.finish(), format };
+    } catch (err) {
+        out.abort();
+        throw err;
+    }
+}
+
+// Back to entries, with fields in extractCard's order. A plain array is
+// the original format (1) and is already entries.
+function decodeCardData(data) {
+    if (Array.isArray(data)) return data;
+    if (!CARD_FORMATS.includes(data.format)) throw new Error(`Unknown card data format ${data.format}`);
+
+    const { rows } = data;
+    const entries = [];
+    let i = 0;
+    for (const [name, count] of data.names) {
+        for (const end = i + count; i < end; i++) {
+            const entry = { n: name, id: rows.id[i], s: data.sets[rows.s[i]], cn: rows.cn[i] };
+            if (rows.o[i] !== -1) entry.o = data.oracles[rows.o[i]];
+            if (rows.d[i] === '1') entry.d = 1;
+            if (rows.t[i]) entry.t = rows.t[i];
+            if (rows.f[i]) entry.f = rows.f[i];
+            if (rows.b[i]) entry.b = rows.b[i];
+            if (rows.x[i]) entry.x = rows.x[i];
+            if (rows.e && rows.e[i]) entry.e = rows.e[i];
+            if (rows.a[i] !== -1) entry.a = data.artists[rows.a[i]];
+            if (rows.r[i]) entry.r = rows.r[i];
+            if (rows.l && rows.l[i]) entry.l = rows.l[i];
+            if (rows.fn && rows.fn[i]) entry.fn = rows.fn[i];
+            entries.push(entry);
+        }
+    }
+    return entries;
+}
+
+function readCardFile(file) {
+    return fs.existsSync(file) ? decodeCardData(JSON.parse(fs.readFileSync(file, 'utf8'))) : null;
+}
+
+// ── Parse bulk data into cards.json + sets.json ──
+// Entries are streamed to a scratch file, then encoded (see
+// encodeCardFile) to a temporary file that replaces outputFile only once
+// complete, so a failed sync leaves the previous data in place.
+// langs (a Set of codes, or "all") adds non-English printings, taken from
+// the stream openLangStream resolves with when given, otherwise from
+// stream itself. It's only opened once stream is done, so a download
+// doesn't sit idle for the length of the first one.
+// With compareWith (the current cards.json), the result also lists the
+// changes against it (see compareCardFiles).
+async function writeCardData(stream, {
+    outputFile = OUTPUT_FILE,
+    setsFile = SETS_FILE,
+    langs = null,
+    openLangStream = null,
+    compareWith = null,
+} = {}) {
+    const scratchDir = fs.mkdtempSync(`${outputFile}.scratch-`);
+    const entriesFile = path.join(scratchDir, 'entries.json');
+    const tmpFile = `${outputFile}.tmp`;
+    const writer = createArrayWriter(entriesFile);
+    const sets = new Map();
+    const nameCounts = new Map();
+
+    const foreign = langs ? langFilter(langs) : () => false;
+    const keepMain = openLangStream ? ENGLISH_ONLY : lang => lang === 'en' || foreign(lang);
+    const parse = (input, keepLang) => parseJsonArrayStream(input, async (card) => {
+        const entry = extractCard(card, sets, keepLang);
+        if (!entry) return;
+        nameCounts.set(entry.n, (nameCounts.get(entry.n) || 0) + 1);
+        await writer.add(entry);
+    });
+
+    try {
+        let parsed = await parse(stream, keepMain);
+        if (openLangStream) parsed += await parse(await openLangStream(), lang => lang !== 'en' && foreign(lang));
+        await writer.finish();
+
+        const { count, bytes, format } = await encodeCardFile(entriesFile, nameCounts, tmpFile, scratchDir);
+        const changes = compareWith
+            ? await compareCardFiles(compareWith, fs.createReadStream(entriesFile))
+            : null;
+        fs.renameSync(tmpFile, outputFile);
+
+        // Sorted by code so unchanged sets diff cleanly
+        const setsJson = JSON.stringify(Object.fromEntries([...sets].sort(([a], [b]) => a.localeCompare(b))));
+        fs.writeFileSync(setsFile, setsJson, 'utf8');
+
+        return { parsed, kept: count, bytes, sets: sets.size, format, changes };
+    } catch (err) {
+        writer.abort();
+        fs.rmSync(tmpFile, { force: true });
+        throw err;
+    } finally {
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+}
+
+// ── Compare against the current cards.json ──
+// Entries are matched by id; the old file is held as one string per
+// entry, the new entries are streamed past it. Returns counts plus, unless
+// there's no old file to compare with (when everything would be "added"),
+// the changed printings grouped by set.
+async function compareCardFiles(oldFile, newEntries) {
+    const old = new Map();
+    const oldEntries = readCardFile(oldFile);
+    const hasOld = !!oldEntries;
+    for (const entry of oldEntries || []) old.set(entry.id, JSON.stringify(entry));
+
+    const changes = { compared: hasOld, added: 0, removed: 0, modified: 0, unchanged: 0, sets: {} };
+    const note = (kind, entry) => {
+        changes[kind]++;
+        if (!hasOld) return;
+        const set = changes.sets[entry.s] || (changes.sets[entry.s] = {});
+        (set[kind] || (set[kind] = [])).push([entry.id, entry.n, entry.cn]);
+    };
+
+    await parseJsonArrayStream(newEntries, (entry) => {
+        const before = old.get(entry.id);
+        if (before === undefined) note('added', entry);
+        else if (before !== JSON.stringify(entry)) note('modified', entry);
+        else changes.unchanged++;
+        old.delete(entry.id);
+    });
+    for (const before of old.values()) note('removed', JSON.parse(before));
+    return changes;
+}
+
+// Byte for byte, a block at a time
+function sameFile(a, b) {
+    if (!fs.existsSync(a) || fs.statSync(a).size !== fs.statSync(b).size) return false;
+    const fdA = fs.openSync(a, 'r');
+    const fdB = fs.openSync(b, 'r');
+    try {
+        const bufA = Buffer.alloc(1 << 16);
+        const bufB = Buffer.alloc(1 << 16);
+        for (;;) {
+            const read = fs.readSync(fdA, bufA, 0, bufA.length, null);
+            if (!read) return true;
+            fs.readSync(fdB, bufB, 0, read, null);
+            if (!bufA.subarray(0, read).equals(bufB.subarray(0, read))) return false;
+        }
+    } finally {
+        fs.closeSync(fdA);
+        fs.closeSync(fdB);
+    }
+}
+
+function readJsonFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (_) {
+        return null;
+    }
+}
+
+// ── Command line ──
+function parseCliArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            input:     { type: 'string' },
+            manifest:  { type: 'string', default: BULK_DATA_URL },
+            type:      { type: 'string', default: 'unique_artwork' },
+            langs:     { type: 'string' },
+            'lang-input': { type: 'string' },
+            out:       { type: 'string', default: DATA_DIR },
+            'dry-run': { type: 'boolean', default: false },
+            help:      { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    if (!BULK_TYPES.includes(values.type)) {
+        throw new Error(`Unknown bulk type "${values.type}" (expected ${BULK_TYPES.join(', ')})`);
+    }
+    return {
+        input: values.input ? path.resolve(values.input) : null,
+        manifestUrl: values.manifest,
+        type: values.type,
+        langs: parseLangs(values.langs),
+        langInput: values['lang-input'] ? path.resolve(values['lang-input']) : null,
+        dataDir: path.resolve(values.out),
+        dryRun: values['dry-run'],
+        help: values.help,
+    };
+}
+
+// "ja, de" → Set { 'ja', 'de' }; English is always kept, so it alone
+// (or nothing) means no other languages
+function parseLangs(value) {
+    if (!value) return null;
+    if (value.trim().toLowerCase() === 'all') return 'all';
+    const codes = value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+    const bad = codes.find(code => !/^[a-z]{2,3}$/.test(code));
+    if (bad) throw new Error(`Unknown language code "${bad}" (expected Scryfall codes like ja, de, zhs)`);
+    const langs = new Set(codes.filter(code => code !== 'en'));
+    return langs.size ? langs : null;
+}
+
+function printUsage() {
+    console.log([
+        'Usage: node scripts/sync-cards.js [options]',
+        '  --input <file>     read a local bulk file (.json or .json.gz)',
+        `  --manifest <url>   bulk data manifest (default: ${BULK_DATA_URL})`,
+        `  --type <type>      ${BULK_TYPES.join(' | ')} (default: unique_artwork)`,
+        '  --langs <codes>    also keep these languages, e.g. ja,de, or "all"',
+        '  --lang-input <file>  local bulk file to read them from',
+        '  --out <dir>        output directory (default: data/)',
+        '  --dry-run          report what would change without writing anything',
+    ].join('\n'));
+}
+
+// Bulk data stream and its last-updated time, from a local file or via
+// the manifest entry of the requested type
+async function openBulkData(options) {
+    if (options.input) {
+        console.log(`Reading ${options.input}`);
+        const file = fs.createReadStream(options.input);
+        const stream = options.input.endsWith('.gz') ? file.pipe(zlib.createGunzip()) : file;
+        if (stream !== file) file.on('error', err => stream.destroy(err));
+        return { stream, updated: fs.statSync(options.input).mtime.toISOString() };
+    }
+
+    console.log(`Fetching bulk data manifest from ${options.manifestUrl}…`);
+    const manifestBuf = await httpGet(options.manifestUrl);
     const manifest = JSON.parse(manifestBuf.toString('utf8'));
 
-    // Find the unique_artwork entry
-    const bulkEntry = manifest.data.find(d => d.type === 'unique_artwork');
+    const bulkEntry = manifest.data.find(d => d.type === options.type);
     if (!bulkEntry) {
-        throw new Error('Could not find "unique_artwork" in bulk data manifest');
+        throw new Error(`Could not find "${options.type}" in bulk data manifest`);
     }
 
-    console.log(`Found unique_artwork (updated ${bulkEntry.updated_at})`);
+    console.log(`Found ${options.type} (updated ${bulkEntry.updated_at})`);
     console.log(`  Size: ${(bulkEntry.size / 1024 / 1024).toFixed(1)} MB`);
     console.log(`  Downloading from: ${bulkEntry.download_uri}`);
-    console.log('  This may take a few minutes…');
+    return { stream: await httpGetStream(bulkEntry.download_uri), updated: bulkEntry.updated_at };
+}
 
-    const dataBuf = await httpGet(bulkEntry.download_uri);
-    console.log(`  Downloaded ${(dataBuf.length / 1024 / 1024).toFixed(1)} MB (decompressed)`);
+// Bulk data options for the non-English printings, or null when there are
+// none wanted or they're in the main bulk data already
+function languageSource(options) {
+    if (!options.langs) return null;
+    if (options.langInput) return { ...options, input: options.langInput };
+    if (options.input || options.type === LANGS_BULK_TYPE) return null;
+    return { ...options, type: LANGS_BULK_TYPE };
+}
 
-    console.log('Parsing and extracting card data…');
-    const cards = [];
-    const totalParsed = streamParseJsonArray(dataBuf, (card) => {
-        const entry = extractCard(card);
-        if (entry) cards.push(entry);
-    });
+// ── Main ──
+async function main(options) {
+    const outputFile = path.join(options.dataDir, 'cards.json');
+    const setsFile = path.join(options.dataDir, 'sets.json');
+    const changesFile = path.join(options.dataDir, 'changes.json');
+    const metaFile = path.join(options.dataDir, 'meta.json');
 
-    console.log(`  Parsed ${totalParsed} cards, kept ${cards.length} with images`);
+    const source = await openBulkData(options);
+    console.log('  Parsing as it arrives — this may take a few minutes…');
 
-    // Ensure data directory exists
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+    // Output goes to a scratch directory first so it can be compared with
+    // the current files. For a real run it sits in the data directory, so
+    // moving the files into place is a rename on the same filesystem.
+    if (!options.dryRun) fs.mkdirSync(options.dataDir, { recursive: true });
+    const scratch = fs.mkdtempSync(options.dryRun
+        ? path.join(os.tmpdir(), 'sync-cards-')
+        : path.join(options.dataDir, '.sync-'));
+    const newCards = path.join(scratch, 'cards.json');
+    const newSets = path.join(scratch, 'sets.json');
 
-    // Write cards.json (minified — no pretty-printing to save space)
-    const json = JSON.stringify(cards);
-    fs.writeFileSync(OUTPUT_FILE, json, 'utf8');
-    const sizeMB = (Buffer.byteLength(json) / 1024 / 1024).toFixed(2);
-    console.log(`  Wrote ${OUTPUT_FILE} (${sizeMB} MB, ${cards.length} entries)`);
+    try {
+        const langSource = languageSource(options);
+        const result = await writeCardData(source.stream, {
+            outputFile: newCards,
+            setsFile: newSets,
+            langs: options.langs,
+            openLangStream: langSource && (async () => {
+                const { stream } = await openBulkData(langSource);
+                console.log('  Parsing non-English printings…');
+                return stream;
+            }),
+            compareWith: outputFile,
+        });
+        console.log(`  Parsed ${result.parsed} cards, kept ${result.kept} with images`);
+        const sizeMB = (result.bytes / 1024 / 1024).toFixed(2);
 
-    // Write meta.json
-    const meta = {
-        updated: new Date().toISOString(),
-        source: 'unique_artwork',
-        sourceUpdated: bulkEntry.updated_at,
-        count: cards.length,
-    };
-    fs.writeFileSync(META_FILE, JSON.stringify(meta, null, 2), 'utf8');
-    console.log(`  Wrote ${META_FILE}`);
+        const { changes } = result;
+        const summary = `${changes.added} added, ${changes.removed} removed, ` +
+            `${changes.modified} changed, ${changes.unchanged} unchanged`;
+
+        if (options.dryRun) {
+            console.log(`Dry run — ${outputFile} would be ${sizeMB} MB with ${result.kept} entries:`);
+            console.log(`  ${summary}`);
+            for (const [code, set] of Object.entries(changes.sets)) {
+                const counts = ['added', 'removed', 'modified']
+                    .filter(kind => set[kind])
+                    .map(kind => `${set[kind].length} ${kind}`);
+                console.log(`    ${code}: ${counts.join(', ')}`);
+            }
+            console.log('Nothing written.');
+            return;
+        }
+
+        // Byte for byte, so a change of format alone still gets written
+        if (sameFile(outputFile, newCards) && sameFile(setsFile, newSets)) {
+            console.log('No changes since the last sync — nothing written.');
+            return;
+        }
+
+        fs.renameSync(newCards, outputFile);
+        fs.renameSync(newSets, setsFile);
+        console.log(`  Wrote ${outputFile} (${sizeMB} MB, ${result.kept} entries)`);
+        console.log(`  Wrote ${setsFile} (${result.sets} sets)`);
+
+        const previous = readJsonFile(metaFile);
+        const updated = new Date().toISOString();
+        const { added, removed, modified, sets } = changes;
+
+        fs.writeFileSync(changesFile, JSON.stringify({
+            updated,
+            previous: previous ? previous.updated : null,
+            added, removed, modified,
+            sets,
+        }), 'utf8');
+        console.log(`  Wrote ${changesFile} (${summary})`);
+
+        // Write meta.json
+        // A local file's bulk type is unknown, so it's named instead
+        const meta = {
+            updated,
+            ...(options.input ? { input: path.basename(options.input) } : { source: options.type }),
+            sourceUpdated: source.updated,
+            count: result.kept,
+            format: result.format,
+        };
+        // Only meaningful when there was a previous sync to compare with
+        if (changes.compared) meta.changes = { added, removed, modified };
+        fs.writeFileSync(metaFile, JSON.stringify(meta, null, 2), 'utf8');
+        console.log(`  Wrote ${metaFile}`);
+    } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+    }
 
     console.log('Done!');
 }
 
-main().catch(err => {
-    console.error('Sync failed:', err.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        printUsage();
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printUsage();
+    } else {
+        main(options).catch(err => {
+            console.error('Sync failed:', err.message);
+            process.exit(1);
+        });
+    }
+}
+
+module.exports = {
+    httpGet,
+    httpGetStream,
+    createJsonArrayParser,
+    parseJsonArrayStream,
+    createArrayWriter,
+    extractCard,
+    encodeCardData,
+    decodeCardData,
+    writeCardData,
+    compareCardFiles,
+    parseCliArgs,
+    main,
+};
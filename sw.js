@@ -0,0 +1,96 @@
+/* ============================================================
+   MTG Proxy Builder — sw.js
+   Service worker for offline use. Card images are cached by the
+   app itself in IndexedDB; this only keeps the app shell, jsPDF
+   and the card database available without a network.
+
+   Strategies:
+     - data/*.json → network first, cached copy when offline
+     - everything else listed below → cache first, refreshed in
+       the background (stale-while-revalidate)
+   ============================================================ */
+
+const CACHE_NAME = 'mtg-proxy-builder-v1';
+
+const SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'style.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+];
+
+// Cached one by one and allowed to fail: they may not exist before the
+// first sync, and the network-first handler caches them when they do
+const DATA = [
+    'data/cards.json',
+    'data/meta.json',
+    'data/sets.json',
+    'data/changes.json',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all([
+                cache.addAll(SHELL),
+                ...DATA.map(url => cache.add(url).catch(() => {})),
+            ]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+
+    const url = new URL(req.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.includes('/data/')) {
+        event.respondWith(networkFirst(req));
+    } else if (isShell(url)) {
+        event.respondWith(staleWhileRevalidate(req));
+    }
+    // Anything else (Scryfall images and API) goes straight to the network
+});
+
+function isShell(url) {
+    return SHELL.some(entry => new URL(entry, self.location.href).href === url.href.split('#')[0]);
+}
+
+async function networkFirst(req) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const res = await fetch(req);
+        if (res.ok) cache.put(req, res.clone());
+        return res;
+    } catch (err) {
+        const cached = await cache.match(req, { ignoreSearch: true });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(req) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(req, { ignoreSearch: true });
+    const refresh = fetch(req)
+        .then(res => {
+            if (res.ok) cache.put(req, res.clone());
+            return res;
+        })
+        .catch(() => null);
+
+    return cached || (await refresh) || Response.error();
+}